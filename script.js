@@ -6,7 +6,12 @@
  * - Backend: Node.js + Express + ytdl-core
  * - API Endpoints:
  *   - GET /api/info - Get video information
+ *   - GET /api/playlist - Get playlist entries
  *   - GET /api/download - Download video/audio
+ *   - GET /api/captions - Download subtitles
+ *   - GET /api/download/chapters - Download one file per chapter (ZIP)
+ *   - GET /api/progress/:id - Download progress (Server-Sent Events)
+ *   - POST /api/zip - Download several videos as one ZIP
  * 
  * Fallback: Opens external download services if API fails
  */
@@ -29,7 +34,30 @@ const QUALITY_OPTIONS = {
     '360p': '360p',
     '240p': '240p',
     '144p': '144p',
-    'mp3': 'MP3 Audio'
+    'mp3': 'MP3 Audio',
+    'm4a': 'M4A Audio (AAC)',
+    'opus': 'Opus Audio',
+    'ogg': 'OGG Audio (Vorbis)',
+    'flac': 'FLAC Audio (Lossless)',
+    'wav': 'WAV Audio (Uncompressed)'
+};
+
+// Display names for the video codec families in /api/info qualities
+const VIDEO_CODEC_NAMES = {
+    'h264': 'H.264',
+    'vp9': 'VP9',
+    'av1': 'AV1'
+};
+
+// Audio output formats and their bitrate options (kbps).
+// An empty default keeps the original stream without re-encoding.
+const AUDIO_FORMATS = {
+    'mp3': { bitrates: [128, 192, 256, 320], defaultBitrate: 192 },
+    'm4a': { bitrates: [128, 192, 256, 320], defaultBitrate: '', canCopy: true },
+    'opus': { bitrates: [64, 96, 128, 160, 192], defaultBitrate: '', canCopy: true },
+    'ogg': { bitrates: [128, 192, 256, 320], defaultBitrate: 192 },
+    'flac': { bitrates: [] },
+    'wav': { bitrates: [], noChapters: true }
 };
 
 // DOM Elements
@@ -41,10 +69,52 @@ const videoThumbnail = document.getElementById('videoThumbnail');
 const videoTitle = document.getElementById('videoTitle');
 const videoDuration = document.getElementById('videoDuration');
 const videoChannel = document.getElementById('videoChannel');
+const clipStart = document.getElementById('clipStart');
+const clipEnd = document.getElementById('clipEnd');
 const downloadSection = document.getElementById('downloadSection');
 const qualitySelect = document.getElementById('qualitySelect');
+const formatSelector = document.getElementById('formatSelector');
+const qualityFallback = document.getElementById('qualityFallback');
+const bitrateSelector = document.getElementById('bitrateSelector');
+const bitrateSelect = document.getElementById('bitrateSelect');
+const tagOption = document.getElementById('tagOption');
+const writeTags = document.getElementById('writeTags');
+const subtitleSelector = document.getElementById('subtitleSelector');
+const subtitleSelect = document.getElementById('subtitleSelect');
+const subtitleFormat = document.getElementById('subtitleFormat');
+const subtitleBtn = document.getElementById('subtitleBtn');
+const embedSubtitles = document.getElementById('embedSubtitles');
+const chapterOptions = document.getElementById('chapterOptions');
+const embedChapters = document.getElementById('embedChapters');
+const splitChapters = document.getElementById('splitChapters');
+const splitChaptersLabel = document.getElementById('splitChaptersLabel');
+const trackNumbersOption = document.getElementById('trackNumbersOption');
+const trackNumbers = document.getElementById('trackNumbers');
 const downloadBtn = document.getElementById('downloadBtn');
+const preflightInfo = document.getElementById('preflightInfo');
+const zipBtn = document.getElementById('zipBtn');
+const downloadProgress = document.getElementById('downloadProgress');
+const progressBar = document.getElementById('progressBar');
+const progressText = document.getElementById('progressText');
+const deliveredFormat = document.getElementById('deliveredFormat');
 const infoMessage = document.getElementById('infoMessage');
+const formatInspector = document.getElementById('formatInspector');
+const formatCount = document.getElementById('formatCount');
+const formatToggle = document.getElementById('formatToggle');
+const formatTableWrapper = document.getElementById('formatTableWrapper');
+const formatTableBody = document.getElementById('formatTableBody');
+const formatTableHeaders = document.querySelectorAll('.format-table th[data-sort]');
+const playlistPreview = document.getElementById('playlistPreview');
+const playlistTitle = document.getElementById('playlistTitle');
+const playlistCount = document.getElementById('playlistCount');
+const playlistSelectAll = document.getElementById('playlistSelectAll');
+const playlistItems = document.getElementById('playlistItems');
+
+// Delay between downloads when downloading several playlist items (ms)
+const BATCH_DOWNLOAD_DELAY = 1500;
+
+// Wait this long after the last change before asking the server what will be downloaded
+const PREFLIGHT_DELAY = 400;
 
 // Extract video ID from YouTube URL
 function extractVideoId(url) {
@@ -62,6 +132,36 @@ function extractVideoId(url) {
     return null;
 }
 
+// Extract playlist ID from YouTube URL (list= parameter)
+function extractPlaylistId(url) {
+    const match = url.match(/[?&]list=([^&\n?#]+)/);
+    return match ? match[1] : null;
+}
+
+// Extract start time in seconds from a t= parameter (t=90, t=90s, t=1m30s, t=1h2m3s)
+function extractStartTime(url) {
+    const match = url.match(/[?&#]t=([0-9hms]+)/);
+    if (!match) {
+        return null;
+    }
+    
+    const value = match[1];
+    if (/^\d+s?$/.test(value)) {
+        return parseInt(value);
+    }
+    
+    const parts = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!parts) {
+        return null;
+    }
+    return (parseInt(parts[1] || 0) * 3600) + (parseInt(parts[2] || 0) * 60) + parseInt(parts[3] || 0);
+}
+
+// Check a clip time: seconds or MM:SS / HH:MM:SS (same as formatDuration output)
+function isValidClipTime(value) {
+    return value === '' || /^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value);
+}
+
 // Validate YouTube URL
 function validateYouTubeUrl(url) {
     if (!url || url.trim() === '') {
@@ -72,7 +172,14 @@ function validateYouTubeUrl(url) {
         return { valid: false, message: 'Please enter a valid YouTube URL' };
     }
     
+    // Watch URLs opened from a playlist or mix (watch?v=...&list=...) load the video;
+    // only URLs without a video ID are treated as playlists
     const videoId = extractVideoId(url);
+    const playlistId = extractPlaylistId(url);
+    if (playlistId && !videoId) {
+        return { valid: true, playlistId };
+    }
+    
     if (!videoId) {
         return { valid: false, message: 'Could not extract video ID from URL' };
     }
@@ -115,7 +222,11 @@ async function fetchVideoMetadata(videoId, videoUrl) {
             videoId: data.videoId,
             thumbnail: data.thumbnail,
             formats: data.formats,
-            availableQualities: data.availableQualities
+            availableQualities: data.availableQualities,
+            qualities: data.qualities || [],
+            qualitySizes: data.qualitySizes || {},
+            captions: data.captions,
+            chapters: data.chapters
         };
     } catch (error) {
         console.error('Error fetching metadata:', error);
@@ -134,6 +245,19 @@ async function fetchVideoMetadata(videoId, videoUrl) {
     }
 }
 
+// Fetch playlist entries using our own API
+async function fetchPlaylist(playlistUrl) {
+    const apiUrl = `${API_BASE_URL}/api/playlist?url=${encodeURIComponent(playlistUrl)}`;
+    const response = await fetch(apiUrl);
+    const result = await response.json();
+    
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to fetch playlist');
+    }
+    
+    return result.data;
+}
+
 // Format duration from seconds to MM:SS or HH:MM:SS
 function formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
@@ -176,6 +300,9 @@ function setLoading(isLoading) {
 // Store current video data
 let currentVideoData = null;
 
+// Store current playlist data (set instead of currentVideoData for playlist URLs)
+let currentPlaylistData = null;
+
 // Display video preview
 function displayVideoPreview(metadata, videoId) {
     videoTitle.textContent = metadata.title;
@@ -184,32 +311,156 @@ function displayVideoPreview(metadata, videoId) {
     videoThumbnail.src = metadata.thumbnail || getThumbnailUrl(videoId);
     videoThumbnail.alt = metadata.title;
     
+    // Prefill clip start from a t= parameter in the pasted URL
+    const startTime = extractStartTime(videoUrlInput.value.trim());
+    clipStart.value = startTime ? formatDuration(startTime) : '';
+    clipEnd.value = '';
+    clipStart.classList.remove('invalid');
+    clipEnd.classList.remove('invalid');
+    
     // Store video data for download
+    currentPlaylistData = null;
     currentVideoData = {
         videoId: videoId,
         url: videoUrlInput.value.trim(),
         title: metadata.title,
         formats: metadata.formats,
-        availableQualities: metadata.availableQualities
+        availableQualities: metadata.availableQualities,
+        captions: metadata.captions || [],
+        chapters: metadata.chapters || []
     };
     
     // Update quality options based on available formats
-    updateQualityOptions(metadata.availableQualities);
+    updateQualityOptions(metadata.availableQualities, metadata.qualitySizes, metadata.qualities);
+    updateSubtitleOptions(currentVideoData.captions);
+    updateChapterOptions(currentVideoData.chapters);
+    renderFormatTable(currentVideoData.formats);
+    schedulePreflight();
     
+    playlistPreview.style.display = 'none';
+    zipBtn.style.display = 'none';
     videoPreview.style.display = 'block';
     downloadSection.style.display = 'block';
     
     // Reset quality selection and ensure UI state
     qualitySelect.value = '';
     qualitySelect.disabled = false;
-    downloadBtn.disabled = true;
+    bitrateSelector.style.display = 'none';
+    tagOption.style.display = 'none';
+    downloadProgress.style.display = 'none';
+    downloadBtn.disabled = !formatSelector.value.trim();
     hideInfoMessage();
     
     console.log('Video preview displayed. Available qualities:', metadata.availableQualities);
 }
 
+// Display playlist as a selectable list
+function displayPlaylistPreview(playlist, url) {
+    playlistTitle.textContent = playlist.title;
+    playlistItems.innerHTML = '';
+    
+    playlist.items.forEach(item => {
+        const listItem = document.createElement('li');
+        listItem.className = 'playlist-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.value = item.index;
+        checkbox.addEventListener('change', updatePlaylistSelection);
+        
+        const index = document.createElement('span');
+        index.className = 'playlist-index';
+        index.textContent = item.index;
+        
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'playlist-thumbnail';
+        thumbnail.src = item.thumbnail || getThumbnailUrl(item.videoId, 'mqdefault');
+        thumbnail.alt = item.title;
+        thumbnail.loading = 'lazy';
+        
+        const title = document.createElement('span');
+        title.className = 'playlist-item-title';
+        title.textContent = item.title;
+        
+        const duration = document.createElement('span');
+        duration.className = 'meta-item';
+        duration.textContent = item.duration ? formatDuration(item.duration) : '';
+        
+        listItem.append(checkbox, index, thumbnail, title, duration);
+        playlistItems.appendChild(listItem);
+    });
+    
+    // Store playlist data for download
+    currentVideoData = null;
+    currentPlaylistData = {
+        playlistId: playlist.playlistId,
+        url: url,
+        title: playlist.title,
+        items: playlist.items
+    };
+    
+    // Qualities differ per video, so offer the full list and let the server fall back
+    updateQualityOptions([]);
+    
+    playlistSelectAll.checked = true;
+    updatePlaylistSelection();
+    
+    formatInspector.style.display = 'none';
+    schedulePreflight();
+    videoPreview.style.display = 'none';
+    playlistPreview.style.display = 'block';
+    subtitleSelector.style.display = 'none';
+    chapterOptions.style.display = 'none';
+    zipBtn.style.display = 'flex';
+    downloadSection.style.display = 'block';
+    
+    qualitySelect.value = '';
+    qualitySelect.disabled = false;
+    bitrateSelector.style.display = 'none';
+    tagOption.style.display = 'none';
+    downloadProgress.style.display = 'none';
+    downloadBtn.disabled = !formatSelector.value.trim();
+    zipBtn.disabled = !formatSelector.value.trim();
+    hideInfoMessage();
+    
+    console.log(`Playlist preview displayed. ${playlist.items.length} items`);
+}
+
+// Get the playlist items whose checkbox is ticked
+function getSelectedPlaylistItems() {
+    if (!currentPlaylistData) {
+        return [];
+    }
+    
+    const selectedIndexes = Array.from(playlistItems.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => parseInt(checkbox.value));
+    return currentPlaylistData.items.filter(item => selectedIndexes.includes(item.index));
+}
+
+// Update selection count and "Select all" checkbox
+function updatePlaylistSelection() {
+    const total = currentPlaylistData ? currentPlaylistData.items.length : playlistItems.children.length;
+    const selected = getSelectedPlaylistItems().length;
+    
+    playlistCount.textContent = `${selected} of ${total} videos selected`;
+    playlistSelectAll.checked = selected === total;
+    playlistSelectAll.indeterminate = selected > 0 && selected < total;
+}
+
+// Handle "Select all" checkbox
+function handleSelectAll() {
+    playlistItems.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = playlistSelectAll.checked;
+    });
+    updatePlaylistSelection();
+}
+
 // Update quality dropdown based on available formats
-function updateQualityOptions(availableQualities) {
+// qualitySizes (optional) maps each quality to its estimated download size in bytes
+// qualities (optional) are the descriptors from /api/info, used to group
+// high frame rate and HDR variants and to list their codecs
+function updateQualityOptions(availableQualities, qualitySizes = {}, qualities = []) {
     // Clear all options except the first "Choose quality..." option
     // Remove all optgroups first
     const optgroups = qualitySelect.querySelectorAll('optgroup');
@@ -237,10 +488,12 @@ function updateQualityOptions(availableQualities) {
         
         const defaultAudioGroup = document.createElement('optgroup');
         defaultAudioGroup.label = 'Audio Only';
-        const audioOption = document.createElement('option');
-        audioOption.value = 'mp3';
-        audioOption.textContent = 'MP3 Audio (Best Quality)';
-        defaultAudioGroup.appendChild(audioOption);
+        Object.keys(AUDIO_FORMATS).forEach(audioFormat => {
+            const audioOption = document.createElement('option');
+            audioOption.value = audioFormat;
+            audioOption.textContent = QUALITY_OPTIONS[audioFormat];
+            defaultAudioGroup.appendChild(audioOption);
+        });
         
         qualitySelect.appendChild(defaultVideoGroup);
         qualitySelect.appendChild(defaultAudioGroup);
@@ -248,37 +501,51 @@ function updateQualityOptions(availableQualities) {
     }
     
     // Add available qualities
-    const videoQualities = availableQualities.filter(q => q !== 'mp3' && q !== 'audio');
-    const hasAudio = availableQualities.includes('mp3') || availableQualities.includes('audio');
+    const videoQualities = availableQualities.filter(q => !AUDIO_FORMATS[q] && q !== 'audio');
+    const audioQualities = availableQualities.filter(q => AUDIO_FORMATS[q]);
     
     if (videoQualities.length > 0) {
-        const videoGroup = document.createElement('optgroup');
-        videoGroup.label = 'Video Quality';
+        // The server sends qualities best first; variants get their own groups
+        const videoGroups = {};
         
-        // Sort qualities in descending order
-        const sortedQualities = videoQualities.sort((a, b) => {
-            const order = ['2160p', '1440p', '1080p', '720p', '480p', '360p', '240p', '144p'];
-            return order.indexOf(a) - order.indexOf(b);
-        });
-        
-        sortedQualities.forEach(quality => {
+        videoQualities.forEach(quality => {
+            const descriptor = qualities.find(q => q.id === quality);
+            const groupLabel = descriptor && descriptor.hdr ? 'HDR'
+                : descriptor && descriptor.highFrameRate ? 'High Frame Rate'
+                : 'Video Quality';
+            
+            if (!videoGroups[groupLabel]) {
+                videoGroups[groupLabel] = document.createElement('optgroup');
+                videoGroups[groupLabel].label = groupLabel;
+            }
+            
             const option = document.createElement('option');
             option.value = quality;
-            option.textContent = QUALITY_OPTIONS[quality] || quality;
-            videoGroup.appendChild(option);
+            option.textContent = getQualityOptionLabel(quality, qualitySizes[quality], descriptor);
+            // Download exactly the format(s) the size and codecs describe
+            if (descriptor && descriptor.itag) {
+                option.dataset.itag = descriptor.itag;
+            }
+            videoGroups[groupLabel].appendChild(option);
         });
         
-        qualitySelect.appendChild(videoGroup);
+        ['Video Quality', 'High Frame Rate', 'HDR'].forEach(groupLabel => {
+            if (videoGroups[groupLabel]) {
+                qualitySelect.appendChild(videoGroups[groupLabel]);
+            }
+        });
     }
     
-    if (hasAudio) {
+    if (audioQualities.length > 0) {
         const audioGroup = document.createElement('optgroup');
         audioGroup.label = 'Audio Only';
         
-        const option = document.createElement('option');
-        option.value = 'mp3';
-        option.textContent = 'MP3 Audio (Best Quality)';
-        audioGroup.appendChild(option);
+        audioQualities.forEach(audioFormat => {
+            const option = document.createElement('option');
+            option.value = audioFormat;
+            option.textContent = getQualityOptionLabel(audioFormat, qualitySizes[audioFormat]);
+            audioGroup.appendChild(option);
+        });
         
         qualitySelect.appendChild(audioGroup);
     }
@@ -289,6 +556,30 @@ function updateQualityOptions(availableQualities) {
     downloadBtn.disabled = true;
 }
 
+// Dropdown label with the estimated size, e.g. "1080p — ~412 MB".
+// With a quality descriptor the frame rate, HDR and codecs are listed too,
+// e.g. "1080p · 60fps · H.264 / VP9 / AV1 — ~412 MB"
+function getQualityOptionLabel(quality, size, descriptor = null) {
+    let label = QUALITY_OPTIONS[quality] || quality;
+    
+    if (descriptor) {
+        const base = `${descriptor.height}p`;
+        const parts = [QUALITY_OPTIONS[base] || base];
+        if (descriptor.highFrameRate) {
+            parts.push(`${descriptor.fps}fps`);
+        }
+        if (descriptor.hdr) {
+            parts.push('HDR');
+        }
+        if (descriptor.codecs.length > 0) {
+            parts.push(descriptor.codecs.map(codec => VIDEO_CODEC_NAMES[codec] || codec).join(' / '));
+        }
+        label = parts.join(' · ');
+    }
+    
+    return size ? `${label} — ~${formatBytes(size)}` : label;
+}
+
 // Handle fetch button click
 async function handleFetch() {
     const url = videoUrlInput.value.trim();
@@ -303,6 +594,12 @@ async function handleFetch() {
     setLoading(true);
     
     try {
+        if (validation.playlistId) {
+            const playlist = await fetchPlaylist(url);
+            displayPlaylistPreview(playlist, url);
+            return;
+        }
+        
         const metadata = await fetchVideoMetadata(validation.videoId, url);
         displayVideoPreview(metadata, validation.videoId);
     } catch (error) {
@@ -320,8 +617,12 @@ function handleQualityChange() {
     console.log('Quality select element:', qualitySelect);
     console.log('Available options:', Array.from(qualitySelect.options).map(opt => ({ value: opt.value, text: opt.text })));
     
+    updateBitrateOptions(selectedQuality);
+    updateTagOption(selectedQuality);
+    
     if (selectedQuality && selectedQuality !== '' && selectedQuality !== 'Choose quality...') {
         downloadBtn.disabled = false;
+        zipBtn.disabled = false;
         hideInfoMessage();
         const qualityLabel = QUALITY_OPTIONS[selectedQuality] || selectedQuality;
         showInfoMessage(`Ready to download: ${qualityLabel}`, 'success');
@@ -334,16 +635,103 @@ function handleQualityChange() {
             }
         }, 2000);
     } else {
-        downloadBtn.disabled = true;
+        downloadBtn.disabled = !formatSelector.value.trim();
+        zipBtn.disabled = !formatSelector.value.trim();
         hideInfoMessage();
         qualitySelect.style.borderColor = '';
     }
 }
 
+// A format selector can be used instead of a quality
+function handleSelectorInput() {
+    const hasChoice = Boolean(qualitySelect.value || formatSelector.value.trim());
+    downloadBtn.disabled = !hasChoice;
+    zipBtn.disabled = !hasChoice;
+}
+
+// Tags are on by default for audio; for video they mean remuxing, so they are opt-in
+function updateTagOption(quality) {
+    writeTags.checked = Boolean(AUDIO_FORMATS[quality]);
+    tagOption.style.display = currentVideoData && quality ? 'flex' : 'none';
+}
+
+// Update bitrate dropdown for the selected audio format
+function updateBitrateOptions(quality) {
+    const audioFormat = AUDIO_FORMATS[quality];
+    
+    // Bitrate only applies to lossy audio formats
+    if (!audioFormat || audioFormat.bitrates.length === 0) {
+        bitrateSelector.style.display = 'none';
+        bitrateSelect.innerHTML = '';
+        return;
+    }
+    
+    bitrateSelect.innerHTML = '';
+    
+    if (audioFormat.canCopy) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'Original (no re-encoding)';
+        bitrateSelect.appendChild(option);
+    }
+    
+    audioFormat.bitrates.forEach(bitrate => {
+        const option = document.createElement('option');
+        option.value = bitrate;
+        option.textContent = `${bitrate} kbps`;
+        bitrateSelect.appendChild(option);
+    });
+    
+    bitrateSelect.value = audioFormat.defaultBitrate;
+    bitrateSelector.style.display = 'block';
+}
+
+// Selected bitrate for a lossy audio format, or null (lossless formats take none)
+function getSelectedBitrate(quality) {
+    const audioFormat = AUDIO_FORMATS[quality];
+    return audioFormat && audioFormat.bitrates.length > 0 && bitrateSelect.value ? bitrateSelect.value : null;
+}
+
 // Get download URL from our own API
-async function getDownloadUrl(videoUrl, quality) {
+// Options: bitrate, progressId, clip ({ start, end }), subtitles, chapters, tags
+// With preflight, the URL resolves the download without starting it
+async function getDownloadUrl(videoUrl, quality, { itag, selector, fallback, bitrate, progressId, clip, subtitles, chapters, tags, preflight } = {}) {
     try {
-        const apiUrl = `${API_BASE_URL}/api/download?url=${encodeURIComponent(videoUrl)}&quality=${quality}`;
+        const endpoint = preflight ? '/api/download/preflight' : '/api/download';
+        let apiUrl = `${API_BASE_URL}${endpoint}?url=${encodeURIComponent(videoUrl)}`;
+        if (quality) {
+            apiUrl += `&quality=${encodeURIComponent(quality)}`;
+        }
+        if (itag) {
+            apiUrl += `&itag=${encodeURIComponent(itag)}`;
+        }
+        if (selector) {
+            apiUrl += `&selector=${encodeURIComponent(selector)}`;
+        }
+        if (fallback) {
+            apiUrl += `&fallback=${fallback}`;
+        }
+        if (bitrate) {
+            apiUrl += `&bitrate=${bitrate}`;
+        }
+        if (clip && clip.start) {
+            apiUrl += `&start=${encodeURIComponent(clip.start)}`;
+        }
+        if (clip && clip.end) {
+            apiUrl += `&end=${encodeURIComponent(clip.end)}`;
+        }
+        if (subtitles) {
+            apiUrl += `&subtitles=${encodeURIComponent(subtitles)}`;
+        }
+        if (chapters) {
+            apiUrl += '&embedChapters=true';
+        }
+        if (tags !== undefined) {
+            apiUrl += `&tags=${tags}`;
+        }
+        if (progressId) {
+            apiUrl += `&progressId=${progressId}`;
+        }
         return apiUrl; // Our API streams directly, so return the API endpoint
     } catch (error) {
         console.error('Error getting download URL:', error);
@@ -352,24 +740,34 @@ async function getDownloadUrl(videoUrl, quality) {
 }
 
 // Actual download function - uses our own API
-async function downloadVideo(videoId, quality, videoUrl, title) {
+// Instead of a quality, pass a format from the format table to download that
+// exact itag, or a format selector expression
+async function downloadVideo(videoId, quality, videoUrl, title, { format = null, selector = null } = {}) {
+    const qualityLabel = format ? describeFormat(format) : selector || QUALITY_OPTIONS[quality] || quality;
     try {
-        showInfoMessage(`Preparing download: ${QUALITY_OPTIONS[quality] || quality}...`, '');
+        showInfoMessage(`Preparing download: ${qualityLabel}...`, '');
         downloadBtn.disabled = true;
         
-        const qualityLabel = QUALITY_OPTIONS[quality] || quality;
-        const format = quality === 'mp3' ? 'mp3' : 'mp4';
+        const progressId = createProgressId();
         
         // Get download URL from our API
-        const downloadUrl = await getDownloadUrl(videoUrl, quality);
+        const options = getDownloadOptions(quality, { format, selector });
+        const downloadUrl = await getDownloadUrl(videoUrl, options.itag || selector ? null : quality, {
+            ...options,
+            progressId
+        });
         
         if (downloadUrl) {
             showInfoMessage(`Starting download: ${qualityLabel}...`, 'success');
             
+            // Listen for progress before the download request is sent
+            trackDownloadProgress(progressId, qualityLabel);
+            
             // Create download link and trigger it
             const link = document.createElement('a');
             link.href = downloadUrl;
-            link.download = `${title.replace(/[^a-z0-9]/gi, '_')}_${quality}.${format}`;
+            // Empty download attribute: the browser uses the name from the server's Content-Disposition
+            link.download = '';
             link.target = '_blank';
             link.style.display = 'none';
             document.body.appendChild(link);
@@ -384,7 +782,7 @@ async function downloadVideo(videoId, quality, videoUrl, title) {
                 }
             }, 1000);
             
-            showInfoMessage(`Download started: ${qualityLabel}. Check your downloads folder.`, 'success');
+            showInfoMessage(`Downloading: ${qualityLabel}...`, 'success');
         } else {
             // Fallback: Use external services
             showInfoMessage(`API unavailable. Using fallback service...`, '');
@@ -399,11 +797,288 @@ async function downloadVideo(videoId, quality, videoUrl, title) {
     } catch (error) {
         console.error('Download error:', error);
         showError('Failed to start download. Trying fallback...');
-        await fallbackDownload(videoId, videoUrl, QUALITY_OPTIONS[quality] || quality);
+        await fallbackDownload(videoId, videoUrl, qualityLabel);
         downloadBtn.disabled = false;
     }
 }
 
+// Download options from the form: clip, subtitles, chapters, tags, bitrate and fallback
+// Video qualities from the dropdown download by the itag the server resolved for them
+function getDownloadOptions(quality, { format = null, selector = null } = {}) {
+    const isAudio = format ? !format.hasVideo : !selector && !!AUDIO_FORMATS[quality];
+    // Audio-only rows of the format table are sent as-is, without chapters or tags
+    const isRawAudio = !!format && !format.hasVideo;
+    
+    return {
+        itag: format ? format.itag : !selector ? getQualityItag(quality) : null,
+        selector,
+        fallback: qualityFallback.value,
+        bitrate: !format && !selector ? getSelectedBitrate(quality) : null,
+        clip: { start: clipStart.value.trim(), end: clipEnd.value.trim() },
+        // Soft subtitles can only be embedded in video files
+        subtitles: embedSubtitles.checked && !isAudio ? subtitleSelect.value : null,
+        chapters: chapterOptions.style.display !== 'none' && embedChapters.checked && !isRawAudio &&
+            !(AUDIO_FORMATS[quality] && AUDIO_FORMATS[quality].noChapters),
+        tags: isRawAudio ? undefined : writeTags.checked
+    };
+}
+
+// Itag of a quality in the dropdown, e.g. "137+140" when video and audio are merged
+function getQualityItag(quality) {
+    const option = Array.from(qualitySelect.options).find(opt => opt.value === quality);
+    return option && option.dataset.itag ? option.dataset.itag : null;
+}
+
+// Current preflight timer and request; responses to older requests are ignored
+let preflightTimer = null;
+let preflightRequest = 0;
+
+// Check the current choice with the server once the form stops changing
+function schedulePreflight() {
+    clearTimeout(preflightTimer);
+    preflightTimer = setTimeout(updatePreflight, PREFLIGHT_DELAY);
+}
+
+// Show what the Download button will get: filename, size and ffmpeg processing
+async function updatePreflight() {
+    const request = ++preflightRequest;
+    const quality = qualitySelect.value;
+    const selector = formatSelector.value.trim();
+    
+    preflightInfo.classList.remove('error');
+    if (!currentVideoData || (!quality && !selector) || splitChapters.checked ||
+        !isValidClipTime(clipStart.value.trim()) || !isValidClipTime(clipEnd.value.trim())) {
+        preflightInfo.textContent = '';
+        return;
+    }
+    
+    try {
+        const options = getDownloadOptions(quality, { selector });
+        const url = await getDownloadUrl(currentVideoData.url, options.itag || selector ? null : quality, {
+            ...options,
+            preflight: true
+        });
+        const response = await fetch(url);
+        const result = await response.json();
+        
+        if (request !== preflightRequest) {
+            return;
+        }
+        if (!result.success) {
+            preflightInfo.classList.add('error');
+            preflightInfo.textContent = result.error;
+            return;
+        }
+        preflightInfo.textContent = describePreflight(result.data);
+    } catch (error) {
+        console.error('Preflight error:', error);
+        if (request === preflightRequest) {
+            preflightInfo.textContent = '';
+        }
+    }
+}
+
+// Summarize a preflight result, e.g. "Video_1080p.mp4 · ~73.1 MB · merged with ffmpeg"
+function describePreflight(preflight) {
+    const parts = [preflight.filename];
+    
+    if (preflight.contentLength) {
+        parts.push(formatBytes(preflight.contentLength));
+    } else if (preflight.estimatedSize) {
+        parts.push(`~${formatBytes(preflight.estimatedSize)}`);
+    }
+    if (preflight.delivered.fallback) {
+        parts.push(`${preflight.delivered.quality} (nearest ${preflight.delivered.fallback} quality)`);
+    }
+    
+    const { processing } = preflight;
+    if (processing.merge) {
+        parts.push('merged with ffmpeg');
+    }
+    if (processing.transcode) {
+        parts.push('converted');
+    }
+    if (processing.trim) {
+        parts.push('trimmed');
+    }
+    if (processing.embed.length > 0) {
+        parts.push(`adds ${processing.embed.join(', ')}`);
+    }
+    if (!processing.ffmpeg) {
+        parts.push('sent as-is');
+    }
+    
+    return parts.join(' · ');
+}
+
+// Generate an ID used to follow a download's progress
+function createProgressId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 10)}`;
+}
+
+// Format a byte count as KB/MB/GB
+function formatBytes(bytes) {
+    if (!bytes) {
+        return '0 B';
+    }
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent > 1 ? 1 : 0)} ${units[exponent]}`;
+}
+
+// Current progress connection (one download is followed at a time)
+let progressSource = null;
+
+// Follow download progress sent by the server (Server-Sent Events)
+function trackDownloadProgress(progressId, qualityLabel) {
+    if (progressSource) {
+        progressSource.close();
+    }
+    
+    updateProgressBar({ percent: 0 }, 'Waiting for the download to start...');
+    deliveredFormat.textContent = '';
+    downloadProgress.style.display = 'block';
+    
+    progressSource = new EventSource(`${API_BASE_URL}/api/progress/${progressId}`);
+    
+    progressSource.addEventListener('started', (event) => {
+        showDeliveredFormat(JSON.parse(event.data));
+    });
+    
+    progressSource.addEventListener('progress', (event) => {
+        updateProgressBar(JSON.parse(event.data));
+    });
+    
+    progressSource.addEventListener('done', (event) => {
+        updateProgressBar(JSON.parse(event.data), 'Download complete');
+        showInfoMessage(`Download complete: ${qualityLabel}. Check your downloads folder.`, 'success');
+        progressSource.close();
+        progressSource = null;
+    });
+    
+    progressSource.addEventListener('failed', (event) => {
+        const data = JSON.parse(event.data);
+        progressBar.classList.add('failed');
+        progressText.textContent = `Download failed: ${data.error}`;
+        showError(data.error || 'Download failed');
+        progressSource.close();
+        progressSource = null;
+    });
+}
+
+// Show what the server actually sends (it may differ from the requested quality)
+function showDeliveredFormat(delivered) {
+    const parts = [delivered.quality, `itag ${delivered.itag}`];
+    if (delivered.codec) {
+        parts.push(delivered.codec);
+    }
+    let text = `Delivered: ${parts.join(' · ')}`;
+    if (delivered.fallback) {
+        text += ` (requested quality not available, nearest ${delivered.fallback} used)`;
+    }
+    deliveredFormat.textContent = text;
+}
+
+// Update progress bar and text
+function updateProgressBar(progress, message) {
+    progressBar.classList.remove('failed');
+    progressBar.style.width = `${progress.percent || 0}%`;
+    
+    if (message) {
+        progressText.textContent = message;
+        return;
+    }
+    
+    const parts = [];
+    if (progress.percent !== null) {
+        parts.push(`${progress.percent}%`);
+    }
+    parts.push(progress.total ? `${formatBytes(progress.downloaded)} of ${formatBytes(progress.total)}` : formatBytes(progress.downloaded));
+    if (progress.speed) {
+        parts.push(`${formatBytes(progress.speed)}/s`);
+    }
+    if (progress.eta !== null && progress.eta !== undefined) {
+        parts.push(`${formatDuration(progress.eta)} left`);
+    }
+    progressText.textContent = parts.join(' · ');
+}
+
+// Download several playlist items one after another with the same quality
+async function downloadPlaylist(items, quality, selector) {
+    const qualityLabel = selector || QUALITY_OPTIONS[quality] || quality;
+    const bitrate = !selector ? getSelectedBitrate(quality) : null;
+    downloadBtn.disabled = true;
+    
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        showInfoMessage(`Starting download ${i + 1} of ${items.length}: ${item.title}`, '');
+        
+        const downloadUrl = await getDownloadUrl(item.url, selector ? null : quality, {
+            selector,
+            fallback: qualityFallback.value,
+            bitrate
+        });
+        const link = document.createElement('a');
+        link.href = downloadUrl;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Give the browser time to start each download
+        await new Promise(resolve => setTimeout(resolve, BATCH_DOWNLOAD_DELAY));
+    }
+    
+    showInfoMessage(`Started ${items.length} downloads (${qualityLabel}). Check your downloads folder.`, 'success');
+    downloadBtn.disabled = false;
+}
+
+// Download the selected playlist items as one ZIP archive
+function downloadPlaylistZip(items, quality, selector) {
+    const fields = selector
+        ? { selector: selector, name: currentPlaylistData.title }
+        : {
+            quality: quality,
+            fallback: qualityFallback.value,
+            bitrate: getSelectedBitrate(quality) || '',
+            name: currentPlaylistData.title
+        };
+    
+    // A form POST lets the browser handle the streamed archive as a normal download
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = `${API_BASE_URL}/api/zip`;
+    form.style.display = 'none';
+    
+    items.forEach(item => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = 'urls';
+        input.value = item.url;
+        form.appendChild(input);
+    });
+    
+    Object.entries(fields).forEach(([name, value]) => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = value;
+        form.appendChild(input);
+    });
+    
+    document.body.appendChild(form);
+    form.submit();
+    document.body.removeChild(form);
+    
+    showInfoMessage(`Preparing ZIP with ${items.length} videos (${selector || QUALITY_OPTIONS[quality] || quality}). The download starts shortly.`, 'success');
+    
+    // Re-enable button after a delay
+    zipBtn.disabled = true;
+    setTimeout(() => {
+        zipBtn.disabled = false;
+    }, 3000);
+}
+
 // Fallback download method using external services
 async function fallbackDownload(videoId, videoUrl, qualityLabel) {
     // Use Y2Mate as primary fallback
@@ -502,32 +1177,291 @@ function hideInfoMessage() {
     infoMessage.className = 'info-message';
 }
 
+// Update subtitle options from the video's caption tracks
+function updateSubtitleOptions(captions) {
+    subtitleSelect.innerHTML = '';
+    embedSubtitles.checked = false;
+    
+    if (!captions || captions.length === 0) {
+        subtitleSelector.style.display = 'none';
+        return;
+    }
+    
+    captions.forEach(track => {
+        const option = document.createElement('option');
+        option.value = track.autoGenerated ? `${track.languageCode}:auto` : track.languageCode;
+        option.textContent = track.autoGenerated && !/auto-generated/i.test(track.name)
+            ? `${track.name} (auto-generated)`
+            : track.name;
+        subtitleSelect.appendChild(option);
+    });
+    
+    subtitleSelector.style.display = 'block';
+}
+
+// Download the selected subtitle track
+function downloadSubtitles() {
+    if (!currentVideoData || !subtitleSelect.value) {
+        return;
+    }
+    
+    const [lang, auto] = subtitleSelect.value.split(':');
+    const params = new URLSearchParams({
+        url: currentVideoData.url,
+        lang: lang,
+        format: subtitleFormat.value
+    });
+    if (auto) {
+        params.set('auto', 'true');
+    }
+    
+    const link = document.createElement('a');
+    link.href = `${API_BASE_URL}/api/captions?${params.toString()}`;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    showInfoMessage(`Downloading ${subtitleSelect.options[subtitleSelect.selectedIndex].textContent} subtitles...`, 'success');
+}
+
+// Offer chapter markers and split-by-chapter downloads when the video has chapters
+function updateChapterOptions(chapters) {
+    splitChapters.checked = false;
+    trackNumbersOption.style.display = 'none';
+    
+    if (!chapters || chapters.length === 0) {
+        chapterOptions.style.display = 'none';
+        return;
+    }
+    
+    splitChaptersLabel.textContent = `Split into one file per chapter (${chapters.length} chapters)`;
+    chapterOptions.style.display = 'block';
+}
+
+// Show the album option only for split audio downloads
+function handleChapterOptionsChange() {
+    trackNumbersOption.style.display = splitChapters.checked && AUDIO_FORMATS[qualitySelect.value] ? 'flex' : 'none';
+}
+
+// Download one file per chapter as a ZIP archive
+function downloadChapters(quality, selector) {
+    const params = new URLSearchParams({ url: currentVideoData.url });
+    const itag = !selector ? getQualityItag(quality) : null;
+    if (selector) {
+        params.set('selector', selector);
+    } else if (itag) {
+        params.set('itag', itag);
+    } else {
+        params.set('quality', quality);
+        if (qualityFallback.value) {
+            params.set('fallback', qualityFallback.value);
+        }
+    }
+    if (!selector && AUDIO_FORMATS[quality]) {
+        if (AUDIO_FORMATS[quality].bitrates.length > 0 && bitrateSelect.value) {
+            params.set('bitrate', bitrateSelect.value);
+        }
+        if (trackNumbers.checked) {
+            params.set('trackNumbers', 'true');
+        }
+    }
+    
+    const link = document.createElement('a');
+    link.href = `${API_BASE_URL}/api/download/chapters?${params.toString()}`;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    showInfoMessage(`Downloading ${currentVideoData.chapters.length} chapters as a ZIP archive...`, 'success');
+}
+
+// Current sort of the format table
+let formatSort = { key: 'height', descending: true };
+
+// Values the format table sorts by
+function getFormatSortValue(format, key) {
+    switch (key) {
+        case 'type':
+            return format.hasVideo && format.hasAudio ? 0 : format.hasVideo ? 1 : 2;
+        case 'codec':
+            return [format.videoCodec, format.audioCodec].filter(Boolean).join(' ');
+        case 'hdr':
+            return format.hdr ? 1 : 0;
+        default:
+            return format[key] === undefined || format[key] === null ? -1 : format[key];
+    }
+}
+
+// Short label for a single format, e.g. "1080p60 mp4 (itag 299)"
+function describeFormat(format) {
+    const quality = format.hasVideo ? format.quality : `${format.audioBitrate || '?'}kbps audio`;
+    return `${quality} ${format.container} (itag ${format.itag})`;
+}
+
+// Format a bitrate in bits per second as kbps/Mbps
+function formatBitrate(bitrate) {
+    if (!bitrate) {
+        return '-';
+    }
+    return bitrate >= 1000000 ? `${(bitrate / 1000000).toFixed(1)} Mbps` : `${Math.round(bitrate / 1000)} kbps`;
+}
+
+// Fill the format inspector table with every format from /api/info
+function renderFormatTable(formats) {
+    formatTableBody.innerHTML = '';
+    
+    if (!formats || formats.length === 0) {
+        formatInspector.style.display = 'none';
+        return;
+    }
+    
+    const { key, descending } = formatSort;
+    const sorted = [...formats].sort((a, b) => {
+        const valueA = getFormatSortValue(a, key);
+        const valueB = getFormatSortValue(b, key);
+        const order = typeof valueA === 'string' || typeof valueB === 'string'
+            ? String(valueA).localeCompare(String(valueB))
+            : valueA - valueB;
+        return descending ? -order : order;
+    });
+    
+    sorted.forEach(format => {
+        const row = document.createElement('tr');
+        const cells = [
+            format.itag,
+            format.hasVideo && format.hasAudio ? 'Video + audio' : format.hasVideo ? 'Video only' : 'Audio only',
+            format.container || '-',
+            [format.videoCodec, format.audioCodec].filter(Boolean).join(' / ') || '-',
+            format.width && format.height ? `${format.width}x${format.height}` : '-',
+            format.fps || '-',
+            format.hdr ? 'HDR' : '-',
+            formatBitrate(format.bitrate),
+            format.audioSampleRate ? `${(format.audioSampleRate / 1000).toFixed(1)} kHz` : '-',
+            format.size ? `${format.sizeIsEstimate ? '~' : ''}${formatBytes(format.size)}` : '-'
+        ];
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        
+        const actionCell = document.createElement('td');
+        const button = document.createElement('button');
+        button.className = 'format-download-btn';
+        button.type = 'button';
+        button.textContent = 'Download';
+        button.addEventListener('click', () => {
+            downloadVideo(currentVideoData.videoId, null, currentVideoData.url, currentVideoData.title, { format });
+        });
+        actionCell.appendChild(button);
+        row.appendChild(actionCell);
+        
+        formatTableBody.appendChild(row);
+    });
+    
+    formatTableHeaders.forEach(header => {
+        header.classList.toggle('sorted-asc', header.dataset.sort === key && !descending);
+        header.classList.toggle('sorted-desc', header.dataset.sort === key && descending);
+    });
+    
+    formatCount.textContent = `(${formats.length})`;
+    formatInspector.style.display = 'block';
+}
+
+// Sort the format table by a column; clicking the same column again reverses the order
+function handleFormatSort(event) {
+    const key = event.currentTarget.dataset.sort;
+    formatSort = {
+        key: key,
+        descending: formatSort.key === key ? !formatSort.descending : key !== 'container' && key !== 'codec'
+    };
+    if (currentVideoData) {
+        renderFormatTable(currentVideoData.formats);
+    }
+}
+
+// Show or hide the format table
+function toggleFormatTable() {
+    const visible = formatTableWrapper.style.display !== 'none';
+    formatTableWrapper.style.display = visible ? 'none' : 'block';
+    formatToggle.textContent = visible ? 'Show' : 'Hide';
+}
+
 // Handle download button click
 async function handleDownload() {
     const selectedQuality = qualitySelect.value;
+    const selector = formatSelector.value.trim();
     
-    console.log('Download clicked. Selected quality:', selectedQuality);
+    console.log('Download clicked. Selected quality:', selector || selectedQuality);
     console.log('Current video data:', currentVideoData);
     
-    if (!selectedQuality || selectedQuality === '') {
+    if (!selector && (!selectedQuality || selectedQuality === '')) {
         showError('Please select a quality option from the dropdown');
         qualitySelect.focus();
         return;
     }
     
+    if (currentPlaylistData) {
+        const selectedItems = getSelectedPlaylistItems();
+        if (selectedItems.length === 0) {
+            showError('Please select at least one video from the playlist');
+            return;
+        }
+        
+        await downloadPlaylist(selectedItems, selectedQuality, selector);
+        return;
+    }
+    
     if (!currentVideoData) {
         showError('Please fetch video information first');
         return;
     }
     
+    if (!isValidClipTime(clipStart.value.trim()) || !isValidClipTime(clipEnd.value.trim())) {
+        showError('Clip times must be seconds or H:MM:SS, e.g. 90 or 1:30');
+        return;
+    }
+    
+    if (splitChapters.checked) {
+        if (clipStart.value.trim() || clipEnd.value.trim()) {
+            showError('Clear the clip times to split the video by chapter');
+            return;
+        }
+        downloadChapters(selectedQuality, selector);
+        return;
+    }
+    
     await downloadVideo(
         currentVideoData.videoId,
-        selectedQuality,
+        selector ? null : selectedQuality,
         currentVideoData.url,
-        currentVideoData.title
+        currentVideoData.title,
+        { selector }
     );
 }
 
+// Handle ZIP button click
+function handleZipDownload() {
+    const selectedQuality = qualitySelect.value;
+    const selector = formatSelector.value.trim();
+    
+    if (!selectedQuality && !selector) {
+        showError('Please select a quality option from the dropdown');
+        qualitySelect.focus();
+        return;
+    }
+    
+    const selectedItems = getSelectedPlaylistItems();
+    if (selectedItems.length === 0) {
+        showError('Please select at least one video from the playlist');
+        return;
+    }
+    
+    downloadPlaylistZip(selectedItems, selectedQuality, selector);
+}
+
 // Event Listeners
 fetchBtn.addEventListener('click', handleFetch);
 
@@ -539,8 +1473,33 @@ videoUrlInput.addEventListener('keypress', (e) => {
 
 qualitySelect.addEventListener('change', handleQualityChange);
 
+formatSelector.addEventListener('input', handleSelectorInput);
+
+// Re-check the download whenever an option that changes it is edited
+[qualitySelect, bitrateSelect, qualityFallback, subtitleSelect, embedSubtitles, embedChapters, splitChapters, writeTags]
+    .forEach(input => input.addEventListener('change', schedulePreflight));
+[formatSelector, clipStart, clipEnd].forEach(input => input.addEventListener('input', schedulePreflight));
+
 downloadBtn.addEventListener('click', handleDownload);
 
+zipBtn.addEventListener('click', handleZipDownload);
+
+subtitleBtn.addEventListener('click', downloadSubtitles);
+
+formatToggle.addEventListener('click', toggleFormatTable);
+formatTableHeaders.forEach(header => header.addEventListener('click', handleFormatSort));
+
+splitChapters.addEventListener('change', handleChapterOptionsChange);
+qualitySelect.addEventListener('change', handleChapterOptionsChange);
+
+playlistSelectAll.addEventListener('change', handleSelectAll);
+
+[clipStart, clipEnd].forEach(input => {
+    input.addEventListener('input', () => {
+        input.classList.toggle('invalid', !isValidClipTime(input.value.trim()));
+    });
+});
+
 // Allow paste events
 videoUrlInput.addEventListener('paste', () => {
     setTimeout(() => {
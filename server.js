@@ -3,22 +3,174 @@
  * 
  * This server provides API endpoints for:
  * - Fetching video information
+ * - Listing playlist entries
  * - Downloading videos in various qualities
- * - Downloading audio (MP3)
+ * - Downloading audio (MP3, M4A, Opus, FLAC, WAV, OGG)
+ * - Subtitles/captions as SRT, WebVTT or plain text, or embedded in MP4/MKV downloads
+ * - Downloading several videos as one ZIP archive
+ * - Chapter lists, chapter markers in downloads and one file per chapter (as a ZIP archive)
+ * - Title/artist/date tags and thumbnail cover art in audio and MP4 downloads
+ * - Filename templates such as {channel}/{upload_date} - {title} [{id}].{ext}
+ * - Background download jobs that survive closed browser tabs
+ * - Live download progress over Server-Sent Events
+ *
+ * Video info is cached per video ID, and concurrent lookups for the same
+ * video share one request to YouTube.
+ *
+ * Qualities that YouTube only serves as separate video and audio
+ * streams (usually 1080p and above) are merged on the fly with ffmpeg.
  */
 
 const express = require('express');
 const cors = require('cors');
 const ytdl = require('@distube/ytdl-core');
+const ytpl = require('@distube/ytpl');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const ffmpegStatic = require('ffmpeg-static');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || ffmpegStatic || 'ffmpeg';
+
+// Default filename template (see renderFilenameTemplate); without one,
+// files are named <title>_<quality>.<ext>
+const FILENAME_TEMPLATE = process.env.FILENAME_TEMPLATE || null;
+
+// What to do when a requested video quality is missing: use the nearest
+// lower or nearest higher quality, or fail the download
+const QUALITY_FALLBACKS = ['lower', 'higher', 'fail'];
+const QUALITY_FALLBACK = process.env.QUALITY_FALLBACK || 'lower';
+
+// Filenames keep Unicode titles but drop what any OS rejects: characters
+// reserved on Windows (a superset of "/" on Linux and ":" on macOS), control
+// characters and bidi overrides that could disguise the extension. Windows
+// device names get a "_" prefix and names are capped in UTF-8 bytes, since
+// most filesystems allow 255 bytes per name.
+const RESERVED_FILENAME_CHARS = /[<>:"/\\|?*\u0000-\u001f\u007f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+const MAX_FILENAME_BYTES = 200;
+
+// ASCII stand-ins for the Content-Disposition fallback filename; accents
+// are stripped separately and anything else becomes "_"
+const ASCII_TRANSLITERATIONS = {
+    '\u00df': 'ss', '\u00e6': 'ae', '\u00c6': 'AE', '\u0153': 'oe', '\u0152': 'OE',
+    '\u00f8': 'o', '\u00d8': 'O', '\u0142': 'l', '\u0141': 'L', '\u0111': 'd', '\u0110': 'D',
+    '\u00f0': 'd', '\u00d0': 'D', '\u00fe': 'th', '\u00de': 'Th', '\u0131': 'i',
+    '\u2018': "'", '\u2019': "'", '\u201c': "'", '\u201d': "'", '\u00ab': "'", '\u00bb': "'",
+    '\u2013': '-', '\u2014': '-', '\u00d7': 'x'
+};
+
+// Media proxy (/api/media/:videoId/:itag): streams single formats through
+// this server for clients that cannot use the IP-bound signed format URLs.
+// Disabled unless a token is set; clients send it as a Bearer token or ?token=
+const MEDIA_PROXY_TOKEN = process.env.MEDIA_PROXY_TOKEN || null;
+
+// Video info cache: entries expire after INFO_CACHE_TTL_MINUTES, or earlier
+// when the signed format URLs inside them expire
+const INFO_CACHE_TTL_MINUTES = parseInt(process.env.INFO_CACHE_TTL_MINUTES) || 60;
+const INFO_CACHE_MAX_ENTRIES = parseInt(process.env.INFO_CACHE_MAX_ENTRIES) || 200;
+const INFO_CACHE_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Maximum number of entries fetched for a playlist
+const MAX_PLAYLIST_ITEMS = 500;
+
+// Background jobs: where finished files are kept, how many run at once
+// and how long a finished job (and its file) is kept around
+const JOBS_DIR = process.env.JOBS_DIR || path.join(os.tmpdir(), 'youtube-downloader-jobs');
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 2;
+const JOB_TTL_MINUTES = parseInt(process.env.JOB_TTL_MINUTES) || 60;
+
+// Subtitle output formats
+const CAPTION_FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip; charset=utf-8' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt; charset=utf-8' },
+    txt: { extension: 'txt', mimeType: 'text/plain; charset=utf-8' }
+};
+
+// ISO 639-2 codes for subtitle track language tags (Matroska expects
+// three-letter codes; YouTube uses two-letter codes with region suffixes)
+const SUBTITLE_LANGUAGE_CODES = {
+    ar: 'ara', bg: 'bul', bn: 'ben', cs: 'cze', da: 'dan', de: 'ger', el: 'gre',
+    en: 'eng', es: 'spa', et: 'est', fa: 'per', fi: 'fin', fr: 'fre', he: 'heb',
+    hi: 'hin', hr: 'hrv', hu: 'hun', id: 'ind', it: 'ita', ja: 'jpn', ko: 'kor',
+    lt: 'lit', lv: 'lav', ms: 'may', nl: 'dut', no: 'nor', pl: 'pol', pt: 'por',
+    ro: 'rum', ru: 'rus', sk: 'slo', sl: 'slv', sr: 'srp', sv: 'swe', ta: 'tam',
+    th: 'tha', tr: 'tur', uk: 'ukr', ur: 'urd', vi: 'vie', zh: 'chi'
+};
+
+// Download progress: how often updates are sent, how long an idle
+// progress channel is kept and which IDs clients may choose
+const PROGRESS_INTERVAL_MS = 500;
+const PROGRESS_CHANNEL_TTL_MS = 10 * 60 * 1000;
+const PROGRESS_ID_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Audio output formats. Targets with `copyCodec` are stream-copied when the
+// source already uses that codec and no bitrate is requested; everything else
+// is transcoded with ffmpeg to `codecName`. Lossless targets have no bitrate options.
+// Targets with `chapters: false` cannot hold chapter markers, and targets
+// with `cover: true` can embed the thumbnail as cover art.
+const AUDIO_TARGETS = {
+    mp3: { codec: 'libmp3lame', codecName: 'mp3', muxer: 'mp3', extension: 'mp3', mimeType: 'audio/mpeg', bitrates: [128, 192, 256, 320], defaultBitrate: 192, cover: true },
+    m4a: { codec: 'aac', codecName: 'aac', muxer: 'ipod', extension: 'm4a', mimeType: 'audio/mp4', bitrates: [128, 192, 256, 320], defaultBitrate: 192, copyCodec: 'mp4a', cover: true },
+    opus: { codec: 'libopus', codecName: 'opus', muxer: 'opus', extension: 'opus', mimeType: 'audio/ogg', bitrates: [64, 96, 128, 160, 192], defaultBitrate: 128, copyCodec: 'opus' },
+    ogg: { codec: 'libvorbis', codecName: 'vorbis', muxer: 'ogg', extension: 'ogg', mimeType: 'audio/ogg', bitrates: [128, 192, 256, 320], defaultBitrate: 192 },
+    flac: { codec: 'flac', codecName: 'flac', muxer: 'flac', extension: 'flac', mimeType: 'audio/flac', bitrates: [], cover: true },
+    wav: { codec: 'pcm_s16le', codecName: 'pcm_s16le', muxer: 'wav', extension: 'wav', mimeType: 'audio/wav', bitrates: [], chapters: false }
+};
+
+// Video codec families by codec string prefix, in order of compatibility
+const VIDEO_CODEC_FAMILIES = [
+    { prefix: 'avc1', family: 'h264' },
+    { prefix: 'vp09', family: 'vp9' },
+    { prefix: 'vp9', family: 'vp9' },
+    { prefix: 'av01', family: 'av1' }
+];
+
+// Fields that format selector filters can test, e.g. bestvideo[height<=1080].
+// Bitrates are in kbps and sizes in bytes (K, M and G suffixes are accepted).
+const SELECTOR_FIELDS = {
+    itag: { type: 'number', get: f => f.itag },
+    height: { type: 'number', get: f => f.height },
+    width: { type: 'number', get: f => f.width },
+    fps: { type: 'number', get: f => f.fps },
+    bitrate: { type: 'number', get: f => f.bitrate ? f.bitrate / 1000 : null },
+    abr: { type: 'number', get: f => f.audioBitrate },
+    asr: { type: 'number', get: f => parseInt(f.audioSampleRate) || null },
+    size: { type: 'size', get: f => parseInt(f.contentLength) || null },
+    vcodec: { type: 'string', get: f => f.hasVideo ? f.videoCodec : null },
+    acodec: { type: 'string', get: f => f.hasAudio ? f.audioCodec : null },
+    // Audio-only MP4 is called m4a, as in its file extension
+    ext: { type: 'string', get: f => !f.hasVideo && f.container === 'mp4' ? 'm4a' : f.container },
+    container: { type: 'string', get: f => f.container }
+};
+const SIZE_UNITS = { K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
 
 // Middleware
-app.use(cors());
+app.use(cors({
+    // Let browser clients read the filename and the delivered format
+    exposedHeaders: ['Content-Disposition', 'X-Delivered-Quality', 'X-Itag', 'X-Codec', 'X-Quality-Fallback', 'Accept-Ranges', 'Content-Range']
+}));
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// Video info cache by video ID, and lookups currently in flight
+const infoCache = new Map();
+const pendingInfoRequests = new Map();
+const infoCacheStats = { hits: 0, misses: 0, coalesced: 0 };
+
+// Job storage (in memory, files on disk)
+const jobs = new Map();
+const jobQueue = [];
+fs.mkdirSync(JOBS_DIR, { recursive: true });
+
+// Progress channels by download/job ID (SSE clients + last event)
+const progressChannels = new Map();
 
 // Serve static files (CSS, JS, images)
 app.use(express.static(__dirname));
@@ -52,19 +204,17 @@ app.get('/api/info', async (req, res) => {
         }
 
         // Get video info
-        const info = await ytdl.getInfo(url);
+        const info = await getVideoInfo(url);
 
         // Extract available formats
         const formats = info.formats
             .filter(format => format.hasVideo || format.hasAudio)
-            .map(format => ({
-                itag: format.itag,
-                quality: format.qualityLabel || format.audioQuality || 'audio',
-                container: format.container,
-                hasVideo: format.hasVideo,
-                hasAudio: format.hasAudio,
-                url: format.url
-            }));
+            .map(format => serializeFormat(format, info));
+        // Signed format URLs only work from this server's IP, so they are not
+        // returned; with the media proxy enabled, formats link to it instead
+        const qualities = getQualityDescriptors(formats);
+        const availableQualities = getAvailableQualities(formats, qualities);
+        const selections = getQualitySelections(info, availableQualities);
 
         // Response
         res.json({
@@ -77,7 +227,11 @@ app.get('/api/info', async (req, res) => {
                 channel: info.videoDetails.author.name,
                 thumbnail: info.videoDetails.thumbnails[info.videoDetails.thumbnails.length - 1].url,
                 formats: formats,
-                availableQualities: getAvailableQualities(formats)
+                availableQualities: availableQualities,
+                qualities: qualities.map(descriptor => ({ ...descriptor, itag: selections[descriptor.id].itag })),
+                qualitySizes: Object.fromEntries(availableQualities.map(quality => [quality, selections[quality].size])),
+                captions: getCaptionTracks(info).map(serializeCaptionTrack),
+                chapters: getChapters(info)
             }
         });
 
@@ -91,155 +245,344 @@ app.get('/api/info', async (req, res) => {
 });
 
 /**
- * GET /api/download - Download video/audio
- * Query params: 
- *   - url (YouTube URL)
- *   - quality (optional: 2160p, 1440p, 1080p, 720p, 480p, 360p, 240p, 144p, mp3)
- *   - itag (optional: specific format itag)
+ * Helper function to describe a format for /api/info: codecs, resolution,
+ * frame rate, HDR, bitrates, audio details and size. The size is exact when
+ * YouTube reports it, otherwise estimated from bitrate and duration.
  */
-app.get('/api/download', async (req, res) => {
+function serializeFormat(format, info) {
+    const exactSize = parseInt(format.contentLength) || null;
+    const duration = (parseInt(format.approxDurationMs) / 1000) || parseInt(info.videoDetails.lengthSeconds) || 0;
+    const bitrate = format.averageBitrate || format.bitrate || null;
+
+    return {
+        itag: format.itag,
+        quality: format.qualityLabel || format.audioQuality || 'audio',
+        container: format.container,
+        hasVideo: format.hasVideo,
+        hasAudio: format.hasAudio,
+        mimeType: format.mimeType ? format.mimeType.split(';')[0] : null,
+        videoCodec: format.hasVideo ? format.videoCodec || null : null,
+        audioCodec: format.hasAudio ? format.audioCodec || null : null,
+        width: format.width || null,
+        height: format.height || null,
+        fps: format.fps || null,
+        hdr: isHdrFormat(format),
+        bitrate: bitrate,
+        audioBitrate: format.audioBitrate || null,
+        audioSampleRate: parseInt(format.audioSampleRate) || null,
+        audioChannels: format.audioChannels || null,
+        size: exactSize || (bitrate && duration ? Math.round(bitrate * duration / 8) : null),
+        sizeIsEstimate: !exactSize,
+        mediaUrl: MEDIA_PROXY_TOKEN ? `/api/media/${info.videoDetails.videoId}/${format.itag}` : null
+    };
+}
+
+/**
+ * Helper function to run the /api/download selection for each quality.
+ * Returns { itag, size } per quality: itag is what /api/download?itag=...
+ * takes to get exactly that format ("137+140" when merged, null for audio
+ * targets, which are converted), and size the estimated download size in
+ * bytes. Merged qualities add up their video and audio streams and audio
+ * formats use their default bitrate. Sizes that cannot be estimated
+ * (e.g. FLAC) are null.
+ */
+function getQualitySelections(info, qualities) {
+    const selections = {};
+
+    qualities.forEach(quality => {
+        const selection = selectDownload(info, { quality, fallback: 'fail', quiet: true });
+        selections[quality] = selection.error ? { itag: null, size: null } : {
+            itag: selection.audioTarget ? null : selection.delivered.itag,
+            size: estimateDownloadSize(info, selection)
+        };
+    });
+
+    return selections;
+}
+
+/**
+ * Helper function to group video formats into quality descriptors:
+ * { id, height, fps, highFrameRate, hdr, codecs }. Formats of one height are
+ * split by high frame rate (above 30fps) and HDR, so "1080p" and "1080p60"
+ * or "2160p60 HDR" are separate qualities. codecs lists the codec families
+ * (h264, vp9, av1) available for each. Sorted best first.
+ */
+function getQualityDescriptors(formats) {
+    const descriptors = new Map();
+
+    formats.filter(format => format.hasVideo && parseInt(format.quality)).forEach(format => {
+        const height = parseInt(format.quality);
+        const fps = format.fps || 0;
+        const highFrameRate = fps > 30;
+        const id = getQualityId(height, fps, format.hdr);
+
+        const descriptor = descriptors.get(id) || { id, height, fps, highFrameRate, hdr: format.hdr, codecs: [] };
+        descriptor.fps = Math.max(descriptor.fps, fps);
+
+        const family = getCodecFamily(format.videoCodec);
+        if (family && !descriptor.codecs.includes(family)) {
+            descriptor.codecs.push(family);
+        }
+        descriptors.set(id, descriptor);
+    });
+
+    const familyOrder = VIDEO_CODEC_FAMILIES.map(entry => entry.family);
+    return Array.from(descriptors.values())
+        .map(descriptor => ({
+            ...descriptor,
+            fps: descriptor.fps || null,
+            codecs: descriptor.codecs.sort((a, b) => familyOrder.indexOf(a) - familyOrder.indexOf(b))
+        }))
+        .sort((a, b) => b.height - a.height || (b.fps || 0) - (a.fps || 0) || a.hdr - b.hdr);
+}
+
+/**
+ * Helper function to build a quality id, e.g. "1080p", "1080p60" or
+ * "2160p60 HDR". Only frame rates above 30fps are part of the id.
+ */
+function getQualityId(height, fps, hdr) {
+    return `${height}p${fps > 30 ? fps : ''}${hdr ? ' HDR' : ''}`;
+}
+
+/**
+ * Helper function to get the codec family of a video codec string,
+ * e.g. h264 for avc1.640028. Unknown codecs use their first part.
+ */
+function getCodecFamily(codec) {
+    if (!codec) {
+        return null;
+    }
+    const entry = VIDEO_CODEC_FAMILIES.find(({ prefix }) => codec.startsWith(prefix));
+    return entry ? entry.family : codec.split('.')[0];
+}
+
+/**
+ * Helper function to check whether a format is HDR (PQ or HLG transfer)
+ */
+function isHdrFormat(format) {
+    const transfer = format.colorInfo && format.colorInfo.transferCharacteristics;
+    return transfer === 'COLOR_TRANSFER_CHARACTERISTICS_SMPTEST2084' ||
+        transfer === 'COLOR_TRANSFER_CHARACTERISTICS_ARIB_STD_B67' ||
+        /HDR/.test(format.qualityLabel || '');
+}
+
+/**
+ * GET /api/playlist - Get playlist entries
+ * Query params: url (YouTube playlist URL or any URL with a list= parameter)
+ */
+app.get('/api/playlist', async (req, res) => {
     try {
-        const { url, quality, itag } = req.query;
+        const { url } = req.query;
 
         if (!url) {
             return res.status(400).json({
                 success: false,
-                error: 'YouTube URL is required'
+                error: 'YouTube playlist URL is required'
             });
         }
 
-        // Validate YouTube URL
-        if (!ytdl.validateURL(url)) {
+        // Validate playlist URL
+        if (!ytpl.validateID(url)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid YouTube URL'
+                error: 'Invalid YouTube playlist URL'
             });
         }
 
-        console.log(`Download request - URL: ${url}, Quality: ${quality}`);
-
-        // Get video info
-        const info = await ytdl.getInfo(url);
-        const title = info.videoDetails.title.replace(/[^a-z0-9]/gi, '_').substring(0, 100);
-
-        let format;
-        let filename;
-        let contentType;
+        // Get playlist entries
+        const playlist = await ytpl(url, { limit: MAX_PLAYLIST_ITEMS });
 
-        if (quality === 'mp3' || quality === 'audio') {
-            // Audio only download
-            console.log('Downloading audio only...');
+        const items = playlist.items.map((item, index) => ({
+            index: index + 1,
+            videoId: item.id,
+            title: item.title,
+            duration: item.duration ? parseTimestamp(item.duration) : null,
+            thumbnail: item.thumbnail,
+            channel: item.author ? item.author.name : null,
+            url: item.shortUrl
+        }));
 
-            const audioFormats = ytdl.filterFormats(info.formats, 'audioonly');
-            if (audioFormats.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'No audio formats available'
-                });
+        // Response
+        res.json({
+            success: true,
+            data: {
+                playlistId: playlist.id,
+                title: playlist.title,
+                totalItems: playlist.total_items,
+                items: items
             }
+        });
 
-            // Get highest quality audio
-            format = audioFormats.reduce((best, current) => {
-                const bestBitrate = best.audioBitrate || 0;
-                const currentBitrate = current.audioBitrate || 0;
-                return currentBitrate > bestBitrate ? current : best;
-            });
+    } catch (error) {
+        console.error('Error fetching playlist:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch playlist'
+        });
+    }
+});
 
-            filename = `${title}.mp3`;
-            contentType = 'audio/mpeg';
+/**
+ * HEAD /api/download - Headers of a download without downloading it
+ * Query params: same as GET /api/download
+ * Registered before the GET route, which Express would otherwise run for HEAD.
+ */
+app.head('/api/download', async (req, res) => {
+    try {
+        const { url, quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template } = req.query;
 
-            console.log(`Selected audio format - Bitrate: ${format.audioBitrate}kbps`);
+        if (!url || !ytdl.validateURL(url)) {
+            return res.status(400).end();
+        }
 
-        } else if (itag) {
-            // Specific format by itag
-            format = info.formats.find(f => f.itag === parseInt(itag));
-            if (!format) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Format not available'
-                });
-            }
-            filename = `${title}.${format.container}`;
-            contentType = format.mimeType;
+        const info = await getVideoInfo(url);
 
-        } else {
-            // Video download with quality selection
-            console.log(`Downloading video - Requested quality: ${quality}`);
+        const selection = selectDownload(info, { quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template, quiet: true });
+        if (selection.error) {
+            return res.status(400).end();
+        }
 
-            // Try to get format with both video and audio
-            const formats = ytdl.filterFormats(info.formats, 'videoandaudio');
+        res.set({
+            'Content-Disposition': getContentDisposition(selection.filename),
+            'Content-Type': selection.contentType,
+            'Accept-Ranges': selection.contentLength ? 'bytes' : 'none',
+            ...getDeliveredHeaders(selection.delivered)
+        });
+        if (selection.contentLength) {
+            res.setHeader('Content-Length', selection.contentLength);
+        }
+        res.end();
 
-            if (formats.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'No combined video+audio formats available. Try a different quality.'
-                });
-            }
+    } catch (error) {
+        console.error('Download HEAD error:', error);
+        res.status(500).end();
+    }
+});
 
-            // Filter by quality if specified
-            if (quality) {
-                const qualityFormats = formats.filter(f =>
-                    f.qualityLabel === quality ||
-                    f.quality === quality ||
-                    (f.qualityLabel && f.qualityLabel.startsWith(quality.replace('p', '')))
-                );
+/**
+ * GET /api/download - Download video/audio
+ * Query params: 
+ *   - url (YouTube URL)
+ *   - quality (optional: 2160p, 1440p, 1080p, 720p, 480p, 360p, 240p, 144p,
+ *              or an audio format: mp3, m4a, opus, ogg, flac, wav)
+ *   - itag (optional: specific format itag)
+ *   - selector (optional: format selector, e.g. bestvideo[height<=1080]+bestaudio/best;
+ *               takes precedence over quality and itag, see parseFormatSelector)
+ *   - fallback (optional: lower, higher or fail - what to do when the video quality
+ *               is missing; default QUALITY_FALLBACK)
+ *   - bitrate (optional, lossy audio only: kbps from the format's bitrate list)
+ *   - start, end (optional: download only this time range, in seconds or HH:MM:SS)
+ *   - subtitles (optional, video only: comma-separated caption languages to embed,
+ *                e.g. en,de or en:auto for the auto-generated track)
+ *   - embedChapters (optional: true to add the video's chapters as chapter markers)
+ *   - tags (optional: true/false to write title, artist, date and cover art tags -
+ *           default true for audio formats, false for video)
+ *   - template (optional: filename template, e.g. {upload_date} - {title} [{id}].{ext})
+ *   - progressId (optional: ID to follow the download on /api/progress/:id)
+ * Headers: Range (optional: bytes=start-end, only for formats sent as-is)
+ * Response headers: X-Delivered-Quality, X-Itag, X-Codec and, when the requested
+ * quality was missing, X-Quality-Fallback (see getDeliveredFormat)
+ */
+app.get('/api/download', async (req, res) => {
+    let progress = null;
 
-                if (qualityFormats.length > 0) {
-                    // Get best format of requested quality
-                    format = qualityFormats.reduce((best, current) => {
-                        const bestBitrate = best.bitrate || 0;
-                        const currentBitrate = current.bitrate || 0;
-                        return currentBitrate > bestBitrate ? current : best;
-                    });
-                    console.log(`Found exact quality match: ${format.qualityLabel}`);
-                } else {
-                    // Fallback to closest quality
-                    console.log(`Exact quality ${quality} not found, using best available`);
-                    format = formats.reduce((best, current) => {
-                        const bestBitrate = best.bitrate || 0;
-                        const currentBitrate = current.bitrate || 0;
-                        return currentBitrate > bestBitrate ? current : best;
-                    });
-                }
-            } else {
-                // No quality specified, get highest quality
-                format = formats.reduce((best, current) => {
-                    const bestBitrate = best.bitrate || 0;
-                    const currentBitrate = current.bitrate || 0;
-                    return currentBitrate > bestBitrate ? current : best;
-                });
-            }
+    try {
+        const { url, quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template, progressId } = req.query;
 
-            filename = `${title}_${format.qualityLabel || quality || 'video'}.${format.container}`;
-            contentType = format.mimeType || 'video/mp4';
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'YouTube URL is required'
+            });
+        }
 
-            console.log(`Selected video format - Quality: ${format.qualityLabel}, Container: ${format.container}`);
+        // Validate YouTube URL
+        if (!ytdl.validateURL(url)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid YouTube URL'
+            });
         }
 
-        if (!format) {
+        if (progressId && !PROGRESS_ID_REGEX.test(progressId)) {
             return res.status(400).json({
                 success: false,
-                error: 'Requested format not available'
+                error: 'Invalid progress ID'
             });
         }
 
+        console.log(`Download request - URL: ${url}, Quality: ${selector || quality}`);
+
+        progress = progressId ? createProgressReporter(progressId) : null;
+
+        // Get video info
+        const info = await getVideoInfo(url);
+
+        const selection = selectDownload(info, { quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template });
+        if (selection.error) {
+            if (progress) {
+                progress.fail(new Error(selection.error));
+            }
+            return res.status(400).json({
+                success: false,
+                error: selection.error
+            });
+        }
+        const { filename, contentType, contentLength } = selection;
+
+        // Formats sent as-is have a known size and can be resumed with Range
+        const ranged = prepareRangeResponse(req, res, contentLength);
+        if (!ranged) {
+            return;
+        }
+        const { range } = ranged;
+
         // Set response headers
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Disposition', getContentDisposition(filename));
         res.setHeader('Content-Type', contentType);
+        res.set(getDeliveredHeaders(selection.delivered));
+        if (progress) {
+            progress.start(selection.delivered);
+        }
 
-        console.log(`Starting download stream for: ${filename}`);
+        console.log(`Starting download stream for: ${filename}${range ? ` (bytes ${range.start}-${range.end})` : ''}`);
 
         // Create download stream
-        const downloadStream = ytdl(url, { format: format });
+        const downloadStream = createDownloadStream(info, selection, {
+            onProgress: progress ? progress.update : null,
+            range: range
+        });
+
+        // Stop downloading if the client goes away
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                downloadStream.destroy();
+                if (progress) {
+                    progress.fail(new Error('Download cancelled'));
+                }
+            }
+        });
+
+        res.on('finish', () => {
+            if (progress) {
+                progress.done();
+            }
+        });
 
         // Handle stream events
         downloadStream.on('error', (error) => {
             console.error('Stream error:', error);
+            if (progress) {
+                progress.fail(error);
+            }
             if (!res.headersSent) {
                 res.status(500).json({
                     success: false,
                     error: 'Download stream failed: ' + error.message
                 });
+            } else {
+                // Cut the connection so clients see the short body and can resume with Range
+                res.destroy(error);
             }
         });
 
@@ -252,6 +595,9 @@ app.get('/api/download', async (req, res) => {
 
     } catch (error) {
         console.error('Download error:', error);
+        if (progress) {
+            progress.fail(error);
+        }
         if (!res.headersSent) {
             res.status(500).json({
                 success: false,
@@ -262,53 +608,2768 @@ app.get('/api/download', async (req, res) => {
 });
 
 /**
- * Helper function to get available qualities from formats
+ * GET /api/download/preflight - Resolve a download without starting it
+ * Query params: same as /api/download
+ * Runs the same format selection and returns the chosen itag(s), container,
+ * MIME type, filename, size and the processing ffmpeg will do.
  */
-function getAvailableQualities(formats) {
-    const qualities = new Set();
+app.get('/api/download/preflight', async (req, res) => {
+    try {
+        const { url, quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template } = req.query;
 
-    formats.forEach(format => {
-        if (format.hasVideo && format.quality) {
-            qualities.add(format.quality);
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'YouTube URL is required'
+            });
         }
-    });
 
-    // Add audio option
-    const hasAudio = formats.some(f => f.hasAudio && !f.hasVideo);
-    if (hasAudio) {
-        qualities.add('mp3');
+        // Validate YouTube URL
+        if (!ytdl.validateURL(url)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid YouTube URL'
+            });
+        }
+
+        const info = await getVideoInfo(url);
+
+        const selection = selectDownload(info, { quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template, quiet: true });
+        if (selection.error) {
+            return res.status(400).json({
+                success: false,
+                error: selection.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: getDownloadPreflight(info, selection)
+        });
+
+    } catch (error) {
+        console.error('Preflight error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to resolve download'
+        });
     }
+});
 
-    return Array.from(qualities).sort((a, b) => {
-        const order = ['2160p', '1440p', '1080p', '720p', '480p', '360p', '240p', '144p', 'mp3'];
-        return order.indexOf(a) - order.indexOf(b);
-    });
+/**
+ * Helper function to describe a selected download for the preflight endpoint.
+ * processing tells what ffmpeg does: merge separate video and audio streams,
+ * transcode (audio conversion or clip re-encoding), trim to a clip and embed
+ * subtitles, chapters, tags or cover art. Without ffmpeg the format is sent
+ * as-is and can be resumed.
+ */
+function getDownloadPreflight(info, selection) {
+    const { format, audioFormat, audioTarget, transcodeAudio, clip, subtitles, chapters, metadata, coverUrl, contentLength } = selection;
+    const embed = [
+        subtitles.length > 0 && 'subtitles',
+        chapters.length > 0 && 'chapters',
+        metadata && 'tags',
+        coverUrl && 'cover'
+    ].filter(Boolean);
+
+    return {
+        itag: format.itag,
+        audioItag: audioFormat ? audioFormat.itag : null,
+        delivered: selection.delivered,
+        container: selection.extension,
+        mimeType: selection.contentType,
+        filename: selection.filename,
+        contentLength: contentLength,
+        estimatedSize: contentLength || estimateDownloadSize(info, selection),
+        resumable: Boolean(contentLength),
+        processing: {
+            ffmpeg: Boolean(audioTarget || audioFormat || clip || embed.length > 0),
+            merge: Boolean(audioFormat),
+            transcode: transcodeAudio || Boolean(clip && format.hasVideo && !audioTarget),
+            trim: Boolean(clip),
+            embed: embed
+        }
+    };
 }
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({
-        success: true,
-        message: 'YouTube Downloader API is running',
-        timestamp: new Date().toISOString()
-    });
-});
+/**
+ * GET /api/captions - List subtitle tracks, or download one
+ * Query params:
+ *   - url (YouTube URL)
+ *   - lang (optional: language code; without it the available tracks are listed)
+ *   - auto (optional: true to prefer the auto-generated track for lang)
+ *   - format (optional: srt, vtt or txt - default srt)
+ */
+app.get('/api/captions', async (req, res) => {
+    try {
+        const { url, lang, auto, format = 'srt' } = req.query;
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error'
-    });
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'YouTube URL is required'
+            });
+        }
+
+        // Validate YouTube URL
+        if (!ytdl.validateURL(url)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid YouTube URL'
+            });
+        }
+
+        if (!CAPTION_FORMATS.hasOwnProperty(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid format. Supported values: ${Object.keys(CAPTION_FORMATS).join(', ')}`
+            });
+        }
+
+        const info = await getVideoInfo(url);
+        const tracks = getCaptionTracks(info);
+
+        // List available tracks
+        if (!lang) {
+            return res.json({
+                success: true,
+                data: {
+                    videoId: info.videoDetails.videoId,
+                    captions: tracks.map(serializeCaptionTrack)
+                }
+            });
+        }
+
+        const track = findCaptionTrack(tracks, lang, auto === 'true' || auto === '1');
+        if (!track) {
+            return res.status(404).json({
+                success: false,
+                error: `No subtitles available for language: ${lang}`
+            });
+        }
+
+        console.log(`Captions request - Video: ${info.videoDetails.videoId}, Language: ${track.languageCode}${track.kind === 'asr' ? ' (auto)' : ''}, Format: ${format}`);
+
+        const cues = await fetchCaptionCues(track);
+        const title = sanitizeFilename(info.videoDetails.title) || info.videoDetails.videoId;
+        const filename = `${title}.${track.languageCode}.${CAPTION_FORMATS[format].extension}`;
+
+        res.setHeader('Content-Disposition', getContentDisposition(filename));
+        res.setHeader('Content-Type', CAPTION_FORMATS[format].mimeType);
+        res.send(formatCaptions(cues, format));
+
+    } catch (error) {
+        console.error('Captions error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch captions'
+        });
+    }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 YouTube Downloader API Server running on http://localhost:${PORT}`);
-    console.log(`📡 API endpoints:`);
-    console.log(`   GET  /api/info?url=<youtube_url>`);
-    console.log(`   GET  /api/download?url=<youtube_url>&quality=<quality>`);
+/**
+ * Helper function to get the caption tracks from video info
+ */
+function getCaptionTracks(info) {
+    const captions = info.player_response && info.player_response.captions;
+    const renderer = captions && captions.playerCaptionsTracklistRenderer;
+    return (renderer && renderer.captionTracks) || [];
+}
+
+/**
+ * Helper function to build the public view of a caption track
+ */
+function serializeCaptionTrack(track) {
+    return {
+        languageCode: track.languageCode,
+        name: track.name ? track.name.simpleText || (track.name.runs || []).map(run => run.text).join('') : track.languageCode,
+        autoGenerated: track.kind === 'asr'
+    };
+}
+
+/**
+ * Helper function to find a caption track by language code.
+ * Prefers the manually created track unless auto-generated is asked for.
+ */
+function findCaptionTrack(tracks, languageCode, preferAuto) {
+    const matches = tracks.filter(track => track.languageCode === languageCode);
+    return matches.find(track => (track.kind === 'asr') === preferAuto) || matches[0] || null;
+}
+
+/**
+ * Helper function to download a caption track as a list of cues
+ * ({ start, end, text } with times in seconds). Uses YouTube's json3 format.
+ */
+async function fetchCaptionCues(track) {
+    const response = await fetch(`${track.baseUrl}&fmt=json3`);
+    if (!response.ok) {
+        throw new Error(`Failed to download subtitles (HTTP ${response.status})`);
+    }
+
+    const data = await response.json();
+    const cues = (data.events || [])
+        .filter(event => event.segs)
+        .map(event => ({
+            start: event.tStartMs / 1000,
+            end: (event.tStartMs + (event.dDurationMs || 0)) / 1000,
+            text: event.segs.map(seg => seg.utf8).join('').trim()
+        }))
+        .filter(cue => cue.text !== '');
+
+    // Auto-generated tracks overlap (each line stays until the next one ends)
+    cues.forEach((cue, index) => {
+        const next = cues[index + 1];
+        if (next && cue.end > next.start) {
+            cue.end = next.start;
+        }
+    });
+
+    return cues;
+}
+
+/**
+ * Helper function to convert cues to SRT, WebVTT or plain text
+ */
+function formatCaptions(cues, format) {
+    if (format === 'txt') {
+        return cues.map(cue => cue.text).join('\n') + '\n';
+    }
+
+    const separator = format === 'srt' ? ',' : '.';
+    const blocks = cues.map((cue, index) => {
+        const timing = `${formatCaptionTime(cue.start, separator)} --> ${formatCaptionTime(cue.end, separator)}`;
+        return format === 'srt'
+            ? `${index + 1}\n${timing}\n${cue.text}`
+            : `${timing}\n${cue.text}`;
+    });
+
+    if (format === 'vtt') {
+        blocks.unshift('WEBVTT');
+    }
+    return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Helper function to format seconds as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+ */
+function formatCaptionTime(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * GET /api/progress/:id - Follow a download or job with Server-Sent Events
+ * Events:
+ *   - started: the delivered format { quality, itag, codec, fallback }
+ *   - progress: { downloaded, total, percent, speed, eta }
+ *   - done: final progress (jobs also include fileUrl)
+ *   - failed: last progress plus { error }
+ * The id is the progressId passed to /api/download, or a job id.
+ */
+app.get('/api/progress/:id', (req, res) => {
+    const { id } = req.params;
+
+    if (!PROGRESS_ID_REGEX.test(id)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid progress ID'
+        });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    // The download may not have started yet, the channel waits for it
+    const channel = getProgressChannel(id);
+    channel.clients.add(res);
+
+    // Late clients still learn what is being delivered
+    if (channel.started && channel.lastEvent.event !== 'started') {
+        writeProgressEvent(res, 'started', channel.started);
+    }
+    if (channel.lastEvent) {
+        writeProgressEvent(res, channel.lastEvent.event, channel.lastEvent.data);
+    }
+
+    req.on('close', () => {
+        channel.clients.delete(res);
+    });
+});
+
+/**
+ * Helper function to get (or create) a progress channel.
+ * Channels are removed after PROGRESS_CHANNEL_TTL_MS without activity.
+ */
+function getProgressChannel(id) {
+    let channel = progressChannels.get(id);
+
+    if (!channel) {
+        channel = { clients: new Set(), lastEvent: null, started: null, timer: null };
+        progressChannels.set(id, channel);
+    }
+
+    clearTimeout(channel.timer);
+    channel.timer = setTimeout(() => {
+        channel.clients.forEach(client => client.end());
+        progressChannels.delete(id);
+    }, PROGRESS_CHANNEL_TTL_MS);
+    channel.timer.unref();
+
+    return channel;
+}
+
+/**
+ * Helper function to send an event to every client of a progress channel
+ */
+function publishProgress(id, event, data) {
+    const channel = getProgressChannel(id);
+    channel.lastEvent = { event, data };
+    if (event === 'started') {
+        channel.started = data;
+    }
+    channel.clients.forEach(client => writeProgressEvent(client, event, data));
+}
+
+/**
+ * Helper function to write one Server-Sent Event
+ */
+function writeProgressEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Helper function to create a progress reporter for a download.
+ * update() computes percentage, speed (bytes/s) and ETA (s) and publishes
+ * at most every PROGRESS_INTERVAL_MS; it returns the latest progress.
+ */
+function createProgressReporter(id) {
+    const startedAt = Date.now();
+    let lastPublished = 0;
+    let latest = { downloaded: 0, total: 0, percent: 0, speed: 0, eta: null };
+
+    return {
+        start(delivered) {
+            publishProgress(id, 'started', delivered);
+        },
+        update(downloaded, total) {
+            const elapsed = (Date.now() - startedAt) / 1000;
+            const speed = elapsed > 0 ? Math.round(downloaded / elapsed) : 0;
+
+            latest = {
+                downloaded: downloaded,
+                total: total,
+                percent: total > 0 ? Math.min(100, Math.round((downloaded / total) * 1000) / 10) : null,
+                speed: speed,
+                eta: speed > 0 && total > 0 ? Math.max(0, Math.round((total - downloaded) / speed)) : null
+            };
+
+            if (Date.now() - lastPublished >= PROGRESS_INTERVAL_MS || downloaded >= total) {
+                lastPublished = Date.now();
+                publishProgress(id, 'progress', latest);
+            }
+            return latest;
+        },
+        done(data = {}) {
+            latest = { ...latest, percent: 100, eta: 0 };
+            publishProgress(id, 'done', { ...latest, ...data });
+            return latest;
+        },
+        fail(error) {
+            publishProgress(id, 'failed', { ...latest, error: error.message });
+            return latest;
+        }
+    };
+}
+
+/**
+ * POST /api/zip - Download several videos as one streamed ZIP archive
+ * Body (JSON or form fields):
+ *   - urls (list of YouTube URLs, or one string with one URL per line)
+ *   - playlist (optional: playlist URL, used instead of urls)
+ *   - start, end (optional: 1-based playlist index range, inclusive)
+ *   - quality, itag, selector, fallback, bitrate, template (optional: same as /api/download)
+ *   - name (optional: archive name, defaults to the playlist title)
+ *
+ * Items are downloaded one at a time straight into the archive. A
+ * manifest.json at the end lists every item and why any of them failed.
+ */
+app.post('/api/zip', async (req, res) => {
+    try {
+        const { playlist, start, end, quality, itag, selector, fallback, bitrate, template, name } = req.body;
+        let urls = req.body.urls || [];
+        let archiveName = name;
+
+        if (typeof urls === 'string') {
+            urls = urls.split(/\s+/).filter(Boolean);
+        }
+
+        if (playlist) {
+            // Validate playlist URL
+            if (!ytpl.validateID(playlist)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid YouTube playlist URL'
+                });
+            }
+
+            const playlistInfo = await ytpl(playlist, { limit: MAX_PLAYLIST_ITEMS });
+            const first = start ? parseInt(start) : 1;
+            const last = end ? parseInt(end) : playlistInfo.items.length;
+
+            urls = playlistInfo.items.slice(first - 1, last).map(item => item.shortUrl);
+            archiveName = archiveName || playlistInfo.title;
+        }
+
+        if (!Array.isArray(urls) || urls.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one YouTube URL is required'
+            });
+        }
+
+        if (urls.length > MAX_PLAYLIST_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                error: `Too many items. Maximum is ${MAX_PLAYLIST_ITEMS}`
+            });
+        }
+
+        console.log(`ZIP request - ${urls.length} items, Quality: ${selector || quality}`);
+
+        const zipName = sanitizeFilename(archiveName || '') || 'videos';
+        const padding = String(urls.length).length;
+
+        const entries = urls.map((url, i) => async (archive, onCancel) => {
+            const prefix = String(i + 1).padStart(padding, '0');
+            const item = await appendDownloadToArchive(archive, url, prefix, { quality, itag, selector, fallback, bitrate, template }, onCancel);
+            return { index: i + 1, ...item };
+        });
+
+        const manifest = await streamZip(res, `${zipName}.zip`, entries, { quality: quality || null });
+        if (manifest) {
+            console.log(`ZIP completed: ${zipName}.zip (${manifest.succeeded}/${manifest.total} items)`);
+        }
+
+    } catch (error) {
+        console.error('ZIP error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: error.message || 'ZIP download failed'
+            });
+        }
+    }
+});
+
+/**
+ * Helper function to stream a ZIP archive to the response. Each entry is an
+ * async function (archive, onCancel) that adds its file to the archive and
+ * returns its manifest item; onCancel registers a function that stops the
+ * entry's download when the client goes away (see appendStreamToArchive).
+ * Entries are added one at a time, then a manifest.json lists every item
+ * (after `fields`, e.g. the quality) and which ones failed. Resolves with the
+ * manifest, or null when the client aborted.
+ */
+async function streamZip(res, filename, entries, fields = {}) {
+    res.setHeader('Content-Disposition', getContentDisposition(filename));
+    res.setHeader('Content-Type', 'application/zip');
+
+    // Media is already compressed, so entries are stored as-is
+    const archive = archiver('zip', { store: true });
+    let aborted = false;
+    let cancelEntry = null;
+
+    // Stop downloading if the client goes away
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            aborted = true;
+            if (cancelEntry) {
+                cancelEntry();
+            }
+            archive.abort();
+        }
+    });
+
+    archive.on('error', (error) => {
+        console.error('Archive error:', error);
+        res.destroy(error);
+    });
+
+    archive.pipe(res);
+
+    const items = [];
+    for (const entry of entries) {
+        if (aborted) {
+            break;
+        }
+        items.push(await entry(archive, (cancel) => {
+            cancelEntry = cancel;
+            if (aborted) {
+                cancel();
+            }
+        }));
+    }
+
+    if (aborted) {
+        console.log(`ZIP download aborted by client: ${filename}`);
+        return null;
+    }
+
+    const failed = items.filter(item => item.status === 'failed');
+    const manifest = {
+        createdAt: new Date().toISOString(),
+        ...fields,
+        total: items.length,
+        succeeded: items.length - failed.length,
+        failed: failed.length,
+        items: items
+    };
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+
+    return manifest;
+}
+
+/**
+ * Helper function to download one video into a ZIP archive.
+ * Never throws: failures are returned as a manifest entry instead.
+ */
+async function appendDownloadToArchive(archive, url, prefix, options, onCancel) {
+    try {
+        if (!ytdl.validateURL(url)) {
+            throw new Error('Invalid YouTube URL');
+        }
+
+        const info = await getVideoInfo(url);
+        const selection = selectDownload(info, options);
+        if (selection.error) {
+            throw new Error(selection.error);
+        }
+
+        // Folders from the filename template are kept inside the archive
+        const folder = path.posix.dirname(selection.filePath);
+        const filename = `${folder !== '.' ? `${folder}/` : ''}${prefix} - ${path.posix.basename(selection.filePath)}`;
+        const downloadStream = createDownloadStream(info, selection);
+        const streamError = await appendStreamToArchive(archive, downloadStream, filename, onCancel);
+
+        if (streamError) {
+            // The partial file stays in the archive, so point at it in the manifest
+            return { url, title: info.videoDetails.title, filename, status: 'failed', error: `Download interrupted: ${streamError.message}` };
+        }
+
+        console.log(`Added to ZIP: ${filename}`);
+        return { url, title: info.videoDetails.title, filename, status: 'ok' };
+
+    } catch (error) {
+        console.error(`Failed to add ${url} to ZIP:`, error.message);
+        return { url, status: 'failed', error: error.message };
+    }
+}
+
+/**
+ * Helper function to add a download stream to a ZIP archive as one entry.
+ * Resolves once the archive has written the whole entry, with the stream
+ * error if the download was interrupted (or null). The function passed to
+ * onCancel stops the download and resolves right away: a destroyed ytdl
+ * stream never ends, so the archive would never finish the entry.
+ */
+function appendStreamToArchive(archive, downloadStream, filename, onCancel) {
+    const entryStream = new PassThrough();
+
+    return new Promise((resolve) => {
+        let error = null;
+        let settled = false;
+
+        const finish = (result) => {
+            if (!settled) {
+                settled = true;
+                archive.removeListener('entry', onEntry);
+                resolve(result);
+            }
+        };
+        const onEntry = () => finish(error);
+
+        downloadStream.on('error', (err) => {
+            error = err;
+            entryStream.end();
+        });
+        archive.once('entry', onEntry);
+
+        downloadStream.pipe(entryStream);
+        archive.append(entryStream, { name: filename });
+
+        onCancel(() => {
+            downloadStream.unpipe(entryStream);
+            downloadStream.destroy();
+            entryStream.end();
+            finish(new Error('Download cancelled'));
+        });
+    });
+}
+
+/**
+ * GET /api/download/chapters - Download one file per chapter as a ZIP archive
+ * Query params:
+ *   - url (YouTube URL)
+ *   - quality, itag, selector, fallback, bitrate, tags (optional: same as /api/download)
+ *   - chapters (optional: chapter numbers to include, e.g. 1,3,5-7 - default all)
+ *   - trackNumbers (optional, audio only: true to tag the files as album tracks)
+ */
+app.get('/api/download/chapters', async (req, res) => {
+    try {
+        const { url, quality, itag, selector, fallback, bitrate, tags, chapters, trackNumbers } = req.query;
+
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'YouTube URL is required'
+            });
+        }
+
+        // Validate YouTube URL
+        if (!ytdl.validateURL(url)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid YouTube URL'
+            });
+        }
+
+        const info = await getVideoInfo(url);
+        const allChapters = getChapters(info);
+
+        if (allChapters.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'This video has no chapters'
+            });
+        }
+
+        const selectedChapters = chapters ? parseChapterSelection(chapters, allChapters) : allChapters;
+        if (!selectedChapters) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid chapters. Use chapter numbers from 1 to ${allChapters.length}, e.g. 1,3,5-7`
+            });
+        }
+
+        // Check the format options once before the archive is started
+        const check = selectDownload(info, { quality, itag, selector, fallback, bitrate, tags, start: selectedChapters[0].start, end: selectedChapters[0].end });
+        if (check.error) {
+            return res.status(400).json({
+                success: false,
+                error: check.error
+            });
+        }
+
+        const title = info.videoDetails.title;
+        const zipName = sanitizeFilename(title) || info.videoDetails.videoId;
+        console.log(`Chapter download - Video: ${info.videoDetails.videoId}, ${selectedChapters.length} chapters, Quality: ${selector || quality}`);
+
+        const padding = String(allChapters.length).length;
+
+        const entries = selectedChapters.map(chapter => async (archive, onCancel) => {
+            const selection = selectDownload(info, { quality, itag, selector, fallback, bitrate, tags, start: chapter.start, end: chapter.end });
+            if (selection.error) {
+                console.error(`Chapter ${chapter.index} failed:`, selection.error);
+                return { ...chapter, status: 'failed', error: selection.error };
+            }
+
+            // Tagged files are titled after their chapter; album tracks are also numbered
+            if (selection.metadata) {
+                selection.metadata = { ...selection.metadata, title: chapter.title };
+            }
+            if (trackNumbers === 'true' && selection.audioTarget) {
+                selection.metadata = {
+                    ...selection.metadata,
+                    title: chapter.title,
+                    artist: info.videoDetails.author.name,
+                    album: title,
+                    track: `${chapter.index}/${allChapters.length}`
+                };
+            }
+
+            const prefix = String(chapter.index).padStart(padding, '0');
+            const chapterTitle = sanitizeFilename(chapter.title) || `Chapter ${chapter.index}`;
+            const filename = `${prefix} - ${chapterTitle}${path.extname(selection.filename)}`;
+
+            const downloadStream = createDownloadStream(info, selection);
+            const streamError = await appendStreamToArchive(archive, downloadStream, filename, onCancel);
+
+            if (streamError) {
+                console.error(`Chapter ${chapter.index} failed:`, streamError.message);
+                return { ...chapter, filename, status: 'failed', error: `Download interrupted: ${streamError.message}` };
+            }
+            console.log(`Added to ZIP: ${filename}`);
+            return { ...chapter, filename, status: 'ok' };
+        });
+
+        const manifest = await streamZip(res, `${zipName}.zip`, entries, {
+            videoId: info.videoDetails.videoId,
+            title: title,
+            quality: quality || null
+        });
+        if (manifest) {
+            console.log(`Chapter download completed: ${zipName}.zip (${manifest.succeeded}/${manifest.total} chapters)`);
+        }
+
+    } catch (error) {
+        console.error('Chapter download error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Chapter download failed'
+            });
+        }
+    }
+});
+
+/**
+ * Helper function to get a video's chapters as [{ index, title, start, end }]
+ * (times in seconds). Uses the chapters YouTube provides, falling back to
+ * timestamps in the description.
+ */
+function getChapters(info) {
+    const duration = parseInt(info.videoDetails.lengthSeconds) || null;
+    let chapters = (info.videoDetails.chapters || []).map(chapter => ({
+        title: chapter.title,
+        start: chapter.start_time
+    }));
+
+    if (chapters.length === 0) {
+        chapters = parseDescriptionChapters(info.videoDetails.description || '');
+    }
+
+    return chapters
+        .filter(chapter => duration === null || chapter.start < duration)
+        .map((chapter, index, list) => ({
+            index: index + 1,
+            title: chapter.title,
+            start: chapter.start,
+            end: index + 1 < list.length ? list[index + 1].start : duration
+        }));
+}
+
+/**
+ * Helper function to read chapters from description lines such as
+ * "0:00 Intro" or "1:02:30 - Q&A". Follows YouTube's own rules: the first
+ * chapter starts at 0:00, there are at least three, and times go up.
+ */
+function parseDescriptionChapters(description) {
+    const chapters = [];
+
+    description.split('\n').forEach(line => {
+        const match = /^\s*[\[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*[-\u2013\u2014:|]?\s*(.+?)\s*$/.exec(line);
+        if (match) {
+            chapters.push({ title: match[2], start: parseTimestamp(match[1]) });
+        }
+    });
+
+    const ascending = chapters.every((chapter, index) => index === 0 || chapter.start > chapters[index - 1].start);
+    if (chapters.length < 3 || chapters[0].start !== 0 || !ascending) {
+        return [];
+    }
+    return chapters;
+}
+
+/**
+ * Helper function to pick chapters by number (e.g. "1,3,5-7").
+ * Returns null when the selection is invalid.
+ */
+function parseChapterSelection(value, chapters) {
+    const indexes = new Set();
+
+    for (const part of String(value).split(',')) {
+        const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+        if (!match) {
+            return null;
+        }
+
+        const first = parseInt(match[1]);
+        const last = match[2] ? parseInt(match[2]) : first;
+        if (first < 1 || last > chapters.length || last < first) {
+            return null;
+        }
+        for (let i = first; i <= last; i++) {
+            indexes.add(i);
+        }
+    }
+
+    return chapters.filter(chapter => indexes.has(chapter.index));
+}
+
+/**
+ * POST /api/jobs - Queue a download to run in the background
+ * Body: url, quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template (same as /api/download)
+ */
+app.post('/api/jobs', (req, res) => {
+    const { url, quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template } = req.body;
+
+    if (!url) {
+        return res.status(400).json({
+            success: false,
+            error: 'YouTube URL is required'
+        });
+    }
+
+    // Validate YouTube URL
+    if (!ytdl.validateURL(url)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid YouTube URL'
+        });
+    }
+
+    const job = {
+        id: crypto.randomBytes(8).toString('hex'),
+        url: url,
+        options: { quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template },
+        status: 'queued',
+        title: null,
+        filename: null,
+        contentType: null,
+        size: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null,
+        progress: null,
+        filePath: null,
+        abort: null
+    };
+
+    jobs.set(job.id, job);
+    jobQueue.push(job);
+    console.log(`Job ${job.id} queued - URL: ${url}, Quality: ${selector || quality}`);
+
+    processJobQueue();
+
+    res.status(202).json({
+        success: true,
+        data: serializeJob(job)
+    });
+});
+
+/**
+ * GET /api/jobs/:id - Get job status
+ */
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: serializeJob(job)
+    });
+});
+
+/**
+ * DELETE /api/jobs/:id - Cancel a job (or remove a finished one and its file)
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+        cancelJob(job);
+    } else {
+        removeJobFile(job);
+        jobs.delete(job.id);
+    }
+
+    res.json({
+        success: true,
+        data: serializeJob(job)
+    });
+});
+
+/**
+ * GET /api/jobs/:id/file - Download the file of a completed job
+ */
+app.get('/api/jobs/:id/file', (req, res) => {
+    const job = jobs.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    if (job.status !== 'completed') {
+        return res.status(409).json({
+            success: false,
+            error: `Job is ${job.status}, file is not available`
+        });
+    }
+
+    // sendFile instead of download, which would replace our Content-Disposition
+    res.sendFile(path.resolve(job.filePath), {
+        headers: {
+            'Content-Disposition': getContentDisposition(job.filename),
+            'Content-Type': job.contentType,
+            ...getDeliveredHeaders(job.delivered)
+        }
+    }, (error) => {
+        if (error && !res.headersSent) {
+            console.error(`Failed to send file for job ${job.id}:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send job file'
+            });
+        }
+    });
+});
+
+/**
+ * Helper function to start queued jobs while there is capacity
+ */
+function processJobQueue() {
+    const running = Array.from(jobs.values()).filter(job => job.status === 'running').length;
+    const available = MAX_CONCURRENT_JOBS - running;
+
+    jobQueue.splice(0, Math.max(available, 0)).forEach(job => runJob(job));
+}
+
+/**
+ * Helper function to run a job: pick the format like /api/download does,
+ * then download it to a file in JOBS_DIR
+ */
+async function runJob(job) {
+    const progress = createProgressReporter(job.id);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`Job ${job.id} started`);
+
+    try {
+        const info = await getVideoInfo(job.url);
+        if (job.status !== 'running') {
+            return;
+        }
+
+        const selection = selectDownload(info, job.options);
+        if (selection.error) {
+            throw new Error(selection.error);
+        }
+
+        job.title = info.videoDetails.title;
+        job.delivered = selection.delivered;
+        job.filename = selection.filename;
+        job.contentType = selection.contentType;
+        job.filePath = path.join(JOBS_DIR, job.id);
+        progress.start(selection.delivered);
+
+        await new Promise((resolve, reject) => {
+            const downloadStream = createDownloadStream(info, selection, {
+                onProgress: (downloaded, total) => {
+                    job.progress = progress.update(downloaded, total);
+                }
+            });
+            const fileStream = fs.createWriteStream(job.filePath);
+
+            // pipe() leaves the file open when the download fails, so close both
+            // streams before the half-written file is removed
+            const fail = (error) => {
+                downloadStream.destroy();
+                fileStream.destroy();
+                reject(error);
+            };
+
+            job.abort = () => fail(new Error('Job cancelled'));
+
+            downloadStream.on('error', fail);
+            fileStream.on('error', fail);
+            fileStream.on('finish', resolve);
+
+            downloadStream.pipe(fileStream);
+        });
+
+        job.size = fs.statSync(job.filePath).size;
+        job.status = 'completed';
+        job.progress = progress.done({ fileUrl: `/api/jobs/${job.id}/file` });
+        console.log(`Job ${job.id} completed: ${job.filename}`);
+
+    } catch (error) {
+        if (job.status === 'running') {
+            job.status = 'failed';
+            job.error = error.message;
+            console.error(`Job ${job.id} failed:`, error);
+            progress.fail(error);
+        }
+        removeJobFile(job);
+
+    } finally {
+        job.abort = null;
+        job.completedAt = job.completedAt || new Date().toISOString();
+        scheduleJobExpiry(job);
+        processJobQueue();
+    }
+}
+
+/**
+ * Helper function to cancel a queued or running job
+ */
+function cancelJob(job) {
+    const queueIndex = jobQueue.indexOf(job);
+    if (queueIndex !== -1) {
+        jobQueue.splice(queueIndex, 1);
+        scheduleJobExpiry(job);
+    }
+
+    job.status = 'cancelled';
+    job.completedAt = new Date().toISOString();
+    if (job.abort) {
+        job.abort();
+    }
+    publishProgress(job.id, 'failed', { ...job.progress, error: 'Job cancelled' });
+    console.log(`Job ${job.id} cancelled`);
+}
+
+/**
+ * Helper function to forget a finished job and delete its file after JOB_TTL_MINUTES
+ */
+function scheduleJobExpiry(job) {
+    setTimeout(() => {
+        removeJobFile(job);
+        jobs.delete(job.id);
+    }, JOB_TTL_MINUTES * 60 * 1000).unref();
+}
+
+/**
+ * Helper function to delete a job's file from disk, if any
+ */
+function removeJobFile(job) {
+    if (job.filePath) {
+        fs.unlink(job.filePath, () => {});
+        job.filePath = null;
+    }
+}
+
+/**
+ * Helper function to build the public view of a job
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        url: job.url,
+        quality: job.options.quality || null,
+        itag: job.options.itag || null,
+        selector: job.options.selector || null,
+        fallback: job.options.fallback || null,
+        bitrate: job.options.bitrate || null,
+        start: job.options.start || null,
+        end: job.options.end || null,
+        subtitles: job.options.subtitles || null,
+        embedChapters: job.options.embedChapters === true || job.options.embedChapters === 'true',
+        tags: job.options.tags === undefined ? null : job.options.tags === true || job.options.tags === 'true',
+        template: job.options.template || null,
+        status: job.status,
+        delivered: job.delivered || null,
+        title: job.title,
+        filename: job.filename,
+        contentType: job.contentType,
+        size: job.size,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        progress: job.progress,
+        fileUrl: job.status === 'completed' ? `/api/jobs/${job.id}/file` : null
+    };
+}
+
+/**
+ * Helper function to get video info through the cache.
+ * Concurrent calls for the same video share a single request to YouTube.
+ */
+function getVideoInfo(url) {
+    const videoId = ytdl.getURLVideoID(url);
+    const cached = infoCache.get(videoId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        infoCacheStats.hits++;
+        return Promise.resolve(cached.info);
+    }
+    infoCache.delete(videoId);
+
+    if (pendingInfoRequests.has(videoId)) {
+        infoCacheStats.coalesced++;
+        return pendingInfoRequests.get(videoId);
+    }
+
+    infoCacheStats.misses++;
+    const request = ytdl.getInfo(videoId)
+        .then((info) => {
+            cacheVideoInfo(videoId, info);
+            return info;
+        })
+        .finally(() => {
+            pendingInfoRequests.delete(videoId);
+        });
+
+    pendingInfoRequests.set(videoId, request);
+    return request;
+}
+
+/**
+ * Helper function to store video info, evicting expired entries first and
+ * then the oldest ones when the cache is full
+ */
+function cacheVideoInfo(videoId, info) {
+    const now = Date.now();
+    infoCache.forEach((entry, key) => {
+        if (entry.expiresAt <= now) {
+            infoCache.delete(key);
+        }
+    });
+
+    while (infoCache.size >= INFO_CACHE_MAX_ENTRIES) {
+        infoCache.delete(infoCache.keys().next().value);
+    }
+
+    infoCache.set(videoId, { info, expiresAt: getInfoExpiry(info) });
+}
+
+/**
+ * Helper function to decide when cached info goes stale: after the TTL, or
+ * shortly before the earliest signed format URL expires (expire= parameter)
+ */
+function getInfoExpiry(info) {
+    let expiresAt = Date.now() + INFO_CACHE_TTL_MINUTES * 60 * 1000;
+
+    info.formats.forEach(format => {
+        const match = format.url && /[?&]expire=(\d+)/.exec(format.url);
+        if (match) {
+            expiresAt = Math.min(expiresAt, parseInt(match[1]) * 1000 - INFO_CACHE_EXPIRY_MARGIN_MS);
+        }
+    });
+
+    return expiresAt;
+}
+
+/**
+ * Helper function to pick the format(s) for a download request.
+ * Shared by every endpoint that downloads, so they all pick the same format.
+ * quiet skips the selection logging, for lookups that do not download.
+ * Returns { error } when the request cannot be satisfied.
+ */
+function selectDownload(info, { quality, itag, selector, fallback, bitrate, start, end, subtitles, embedChapters, tags, template, quiet } = {}) {
+    const log = quiet ? () => {} : console.log;
+    const title = sanitizeFilename(info.videoDetails.title) || info.videoDetails.videoId;
+
+    let format;
+    let audioFormat = null;
+    let container = null;
+    let audioTarget = null;
+    let audioBitrate = null;
+    let transcodeAudio = false;
+    let name;
+    let extension;
+    let contentType;
+
+    const audioTargetName = quality === 'audio' ? 'mp3' : quality;
+    const fallbackPolicy = fallback || QUALITY_FALLBACK;
+    let qualityFallback = null;
+
+    // A repeated query parameter (?selector=a&selector=b) arrives as an array,
+    // and JSON bodies can hold any type; numbers only make sense for some options
+    const numericOptions = ['itag', 'bitrate', 'start', 'end'];
+    const invalidOption = Object.entries({ quality, itag, selector, fallback, bitrate, start, end, template })
+        .find(([key, value]) => value !== undefined && value !== null && typeof value !== 'string' &&
+            !(typeof value === 'number' && numericOptions.includes(key)));
+    if (invalidOption) {
+        const expected = numericOptions.includes(invalidOption[0]) ? 'number or string' : 'string';
+        return { error: `Invalid ${invalidOption[0]}: expected a single ${expected}` };
+    }
+
+    if (!QUALITY_FALLBACKS.includes(fallbackPolicy)) {
+        return { error: `Invalid fallback. Supported values: ${QUALITY_FALLBACKS.join(', ')}` };
+    }
+
+    if (selector) {
+        // Format selector expression, e.g. bestvideo[height<=1080]+bestaudio/best
+        const alternatives = parseFormatSelector(selector);
+        if (alternatives.error) {
+            return alternatives;
+        }
+
+        const match = resolveFormatSelector(info.formats, alternatives);
+        if (!match) {
+            return { error: `No format matches selector ${selector}` };
+        }
+        format = match.format;
+        audioFormat = match.audioFormat;
+
+        name = format.hasVideo ? `${title}_${format.qualityLabel}` : title;
+        if (audioFormat) {
+            container = getMergeContainer(format, audioFormat);
+            extension = container;
+            contentType = container === 'mp4' ? 'video/mp4' : 'video/x-matroska';
+        } else {
+            extension = format.container;
+            contentType = format.mimeType;
+        }
+
+        log(`Selector ${selector} matched itag ${format.itag}${audioFormat ? ` + ${audioFormat.itag}` : ''}`);
+
+    } else if (AUDIO_TARGETS.hasOwnProperty(audioTargetName)) {
+        // Audio only download
+        log(`Downloading audio only as ${audioTargetName}...`);
+        audioTarget = AUDIO_TARGETS[audioTargetName];
+
+        if (bitrate) {
+            audioBitrate = parseInt(bitrate);
+            if (!audioTarget.bitrates.includes(audioBitrate)) {
+                return {
+                    error: audioTarget.bitrates.length > 0
+                        ? `Invalid bitrate. Supported values: ${audioTarget.bitrates.join(', ')}`
+                        : `${audioTargetName} is lossless and does not take a bitrate`
+                };
+            }
+        }
+
+        const audioFormats = ytdl.filterFormats(info.formats, 'audioonly');
+        if (audioFormats.length === 0) {
+            return { error: 'No audio formats available' };
+        }
+
+        // Stream copy when the source codec already matches the target
+        const copyFormats = audioTarget.copyCodec && !audioBitrate
+            ? audioFormats.filter(f => f.audioCodec && f.audioCodec.startsWith(audioTarget.copyCodec))
+            : [];
+
+        if (copyFormats.length > 0) {
+            format = getHighestAudioBitrate(copyFormats);
+        } else {
+            // Get highest quality audio
+            format = getHighestAudioBitrate(audioFormats);
+            audioBitrate = audioBitrate || audioTarget.defaultBitrate || null;
+            transcodeAudio = true;
+        }
+
+        name = title;
+        extension = audioTarget.extension;
+        contentType = audioTarget.mimeType;
+
+        log(`Selected audio format - Codec: ${format.audioCodec}, Bitrate: ${format.audioBitrate}kbps, ` +
+            `Mode: ${transcodeAudio ? 'transcode' : 'stream copy'}`);
+
+    } else if (itag) {
+        // Specific format by itag, or a video-only and an audio-only itag to merge (e.g. 137+140)
+        if (!/^\d+(\+\d+)?$/.test(String(itag))) {
+            return { error: 'Invalid itag. Use a format itag, or a video and an audio itag joined by "+"' };
+        }
+        const [videoItag, audioItag] = String(itag).split('+').map(value => parseInt(value));
+
+        format = info.formats.find(f => f.itag === videoItag);
+        if (!format) {
+            return { error: 'Format not available' };
+        }
+
+        if (audioItag) {
+            audioFormat = info.formats.find(f => f.itag === audioItag);
+            if (!audioFormat) {
+                return { error: 'Format not available' };
+            }
+            if (!format.hasVideo || format.hasAudio || audioFormat.hasVideo || !audioFormat.hasAudio) {
+                return { error: 'Merging needs a video-only itag followed by an audio-only itag' };
+            }
+            container = getMergeContainer(format, audioFormat);
+            extension = container;
+            contentType = container === 'mp4' ? 'video/mp4' : 'video/x-matroska';
+        } else {
+            extension = format.container;
+            contentType = format.mimeType;
+        }
+        name = format.hasVideo ? `${title}_${format.qualityLabel}` : title;
+
+    } else {
+        // Video download with quality selection
+        log(`Downloading video - Requested quality: ${quality}`);
+
+        // Formats with both video and audio can be streamed as-is
+        const formats = ytdl.filterFormats(info.formats, 'videoandaudio');
+        // Higher qualities are only offered as separate video/audio streams
+        const videoOnlyFormats = ytdl.filterFormats(info.formats, 'videoonly');
+        const audioFormats = ytdl.filterFormats(info.formats, 'audioonly');
+
+        if (formats.length === 0 && (videoOnlyFormats.length === 0 || audioFormats.length === 0)) {
+            return { error: 'No combined video+audio formats available. Try a different quality.' };
+        }
+
+        // Filter by quality if specified
+        if (quality) {
+            // Video-only streams can only be used when there is audio to merge
+            const adaptiveFormats = audioFormats.length > 0 ? videoOnlyFormats : [];
+            let match = matchVideoQuality(formats, adaptiveFormats, audioFormats, quality, log);
+
+            if (!match) {
+                // Requested quality is missing, apply the fallback policy
+                const fallbackQuality = fallbackPolicy === 'fail'
+                    ? null
+                    : getFallbackQuality([...formats, ...adaptiveFormats], quality, fallbackPolicy);
+                if (!fallbackQuality) {
+                    return {
+                        error: fallbackPolicy === 'fail'
+                            ? `Quality ${quality} is not available for this video`
+                            : `Quality ${quality} is not available for this video, and there is no ${fallbackPolicy} quality`
+                    };
+                }
+
+                log(`Exact quality ${quality} not found, using nearest ${fallbackPolicy} quality ${fallbackQuality}`);
+                match = matchVideoQuality(formats, adaptiveFormats, audioFormats, fallbackQuality, log);
+                qualityFallback = fallbackPolicy;
+            }
+
+            format = match.format;
+            audioFormat = match.audioFormat;
+        } else if (formats.length > 0) {
+            // No quality specified, get highest quality
+            format = getHighestBitrate(formats);
+        } else {
+            // Only adaptive streams available, merge the best pair
+            format = getPreferredVideo(videoOnlyFormats);
+            audioFormat = getMatchingAudio(format, audioFormats);
+        }
+
+        name = `${title}_${format.qualityLabel || quality || 'video'}`;
+        if (audioFormat) {
+            container = getMergeContainer(format, audioFormat);
+            extension = container;
+            contentType = container === 'mp4' ? 'video/mp4' : 'video/x-matroska';
+        } else {
+            extension = format.container;
+            contentType = format.mimeType || 'video/mp4';
+        }
+
+        log(`Selected video format - Quality: ${format.qualityLabel}, Container: ${container || format.container}`);
+    }
+
+    if (!format) {
+        return { error: 'Requested format not available' };
+    }
+
+    // Subtitles are muxed in as soft subtitle tracks
+    let subtitleTracks = [];
+    if (subtitles && subtitles.length > 0) {
+        if (audioTarget || !format.hasVideo) {
+            return { error: 'Subtitles can only be embedded in video downloads' };
+        }
+
+        const subtitleSelection = selectSubtitleTracks(info, subtitles);
+        if (subtitleSelection.error) {
+            return subtitleSelection;
+        }
+        subtitleTracks = subtitleSelection.tracks;
+        log(`Embedding subtitles: ${subtitleTracks.map(track => track.languageCode).join(', ')}`);
+    }
+
+    // Trimmed downloads are cut by ffmpeg; video is re-encoded to H.264 so the cut is frame-accurate
+    let clip = null;
+    if (start || end) {
+        clip = parseClipRange(info, start, end);
+        if (clip.error) {
+            return clip;
+        }
+        if (!audioTarget && format.hasVideo) {
+            container = 'mp4';
+            extension = 'mp4';
+            contentType = 'video/mp4';
+        }
+        name += `_clip_${clip.start}-${clip.end !== null ? clip.end : 'end'}`;
+        log(`Trimming to ${clip.start}s - ${clip.end !== null ? `${clip.end}s` : 'end'}`);
+    }
+
+    // Chapter markers
+    let chapters = [];
+    if (embedChapters === true || embedChapters === 'true') {
+        if (audioTarget && audioTarget.chapters === false) {
+            return { error: `${audioTargetName} does not support chapter markers` };
+        }
+        if (!audioTarget && !format.hasVideo) {
+            return { error: 'Chapter markers need a video download or an audio format' };
+        }
+
+        chapters = getChapters(info);
+        if (clip) {
+            chapters = shiftToClip(chapters, clip);
+        }
+        log(`Embedding ${chapters.length} chapter markers`);
+    }
+
+    // Tags are written by default for audio formats, video needs tags=true
+    let metadata = null;
+    const writeTags = tags === undefined || tags === null || tags === ''
+        ? Boolean(audioTarget)
+        : tags === true || tags === 'true';
+    if (writeTags) {
+        if (!audioTarget && !format.hasVideo) {
+            return { error: 'Tags need a video download or an audio format' };
+        }
+        metadata = getVideoMetadata(info);
+    }
+
+    // Subtitles, chapters and tags are written by ffmpeg, so formats that
+    // would be sent as-is are remuxed to MP4 (or MKV for WebM)
+    if (!container && !audioTarget && (subtitleTracks.length > 0 || chapters.length > 0 || metadata)) {
+        container = format.container === 'mp4' ? 'mp4' : 'mkv';
+        extension = container;
+        contentType = container === 'mp4' ? 'video/mp4' : 'video/x-matroska';
+    }
+
+    // Cover art fits MP4 video and the audio formats that hold pictures
+    const coverUrl = metadata && (audioTarget ? audioTarget.cover : container === 'mp4')
+        ? getCoverUrl(info)
+        : null;
+
+    // Templates may contain folders; they are kept in ZIP archives and
+    // flattened to "folder - name" for single downloads
+    let filePath = `${name}.${extension}`;
+    const filenameTemplate = template || FILENAME_TEMPLATE;
+    if (filenameTemplate) {
+        const rendered = renderFilenameTemplate(filenameTemplate, getFilenameVariables(info, {
+            format,
+            audioFormat,
+            quality: audioTarget ? audioTargetName : format.qualityLabel || quality || 'video',
+            extension,
+            clip
+        }));
+        if (rendered.error) {
+            return rendered;
+        }
+        filePath = rendered.path;
+    }
+
+    return {
+        format,
+        audioFormat,
+        delivered: getDeliveredFormat({
+            format,
+            audioFormat,
+            audioTarget,
+            audioTargetName,
+            audioBitrate,
+            transcodeAudio,
+            clip,
+            fallback: qualityFallback
+        }),
+        container,
+        audioTarget,
+        audioBitrate,
+        transcodeAudio,
+        clip,
+        subtitles: subtitleTracks,
+        chapters,
+        metadata,
+        coverUrl,
+        filename: filePath.split('/').join(' - '),
+        filePath,
+        extension,
+        contentType,
+        // Only known when the format is sent as-is (no merging, conversion, trimming, subtitles, chapters or tags)
+        contentLength: audioFormat || audioTarget || clip || subtitleTracks.length > 0 || chapters.length > 0 || metadata
+            ? null
+            : parseInt(format.contentLength) || null
+    };
+}
+
+/**
+ * Helper function to describe what a download delivers: the quality, the
+ * itag (video+audio when merged), the codecs and the fallback policy used
+ * when the requested quality was missing. Codecs are YouTube's codec strings,
+ * or what ffmpeg encodes to when the download is converted.
+ */
+function getDeliveredFormat({ format, audioFormat, audioTarget, audioTargetName, audioBitrate, transcodeAudio, clip, fallback }) {
+    const sources = audioFormat ? [format, audioFormat] : [format];
+    let quality;
+    let codecs;
+
+    if (audioTarget) {
+        const kbps = transcodeAudio ? audioBitrate : format.audioBitrate;
+        quality = kbps ? `${audioTargetName} ${kbps}kbps` : audioTargetName;
+        codecs = [transcodeAudio ? audioTarget.codecName : format.audioCodec];
+    } else if (clip && format.hasVideo) {
+        // Video clips are re-encoded (see createClipStream)
+        quality = format.qualityLabel;
+        codecs = ['h264', 'aac'];
+    } else {
+        quality = format.hasVideo ? format.qualityLabel : `${format.audioBitrate}kbps`;
+        codecs = sources.flatMap(f => [f.hasVideo ? f.videoCodec : null, f.hasAudio ? f.audioCodec : null]);
+    }
+
+    return {
+        quality: quality,
+        itag: sources.map(f => f.itag).join('+'),
+        codec: codecs.filter(Boolean).join('+'),
+        fallback: fallback
+    };
+}
+
+/**
+ * Helper function to estimate the size of a download in bytes from the
+ * source sizes or bitrates and the (clip) duration. Converted audio uses
+ * the target bitrate; FLAC depends on the audio itself, so it has no estimate.
+ */
+function estimateDownloadSize(info, { format, audioFormat, audioTarget, audioBitrate, transcodeAudio, clip }) {
+    const length = parseInt(info.videoDetails.lengthSeconds) || 0;
+    const duration = clip ? (clip.end !== null ? clip.end : length) - clip.start : length;
+    if (!duration) {
+        return null;
+    }
+
+    let bytesPerSecond;
+    if (audioTarget && transcodeAudio) {
+        if (audioBitrate) {
+            bytesPerSecond = audioBitrate * 1000 / 8;
+        } else if (audioTarget.codecName === 'pcm_s16le') {
+            bytesPerSecond = (parseInt(format.audioSampleRate) || 48000) * (format.audioChannels || 2) * 2;
+        } else {
+            return null;
+        }
+    } else {
+        const sources = audioFormat ? [format, audioFormat] : [format];
+        bytesPerSecond = sources.reduce((sum, f) => sum + getBytesPerSecond(f, length), 0);
+    }
+
+    return bytesPerSecond ? Math.round(bytesPerSecond * duration) : null;
+}
+
+/**
+ * Helper function to get a format's data rate in bytes per second, from its
+ * size when YouTube reports it, otherwise from its average bitrate
+ */
+function getBytesPerSecond(format, length) {
+    const size = parseInt(format.contentLength);
+    if (size && length) {
+        return size / length;
+    }
+    return (format.averageBitrate || format.bitrate || 0) / 8;
+}
+
+/**
+ * Helper function to turn a delivered format into X-Delivered-Quality,
+ * X-Itag, X-Codec and X-Quality-Fallback response headers
+ */
+function getDeliveredHeaders(delivered) {
+    if (!delivered) {
+        return {};
+    }
+
+    const headers = {
+        'X-Delivered-Quality': delivered.quality,
+        'X-Itag': delivered.itag,
+        'X-Codec': delivered.codec
+    };
+    if (delivered.fallback) {
+        headers['X-Quality-Fallback'] = delivered.fallback;
+    }
+    return headers;
+}
+
+/**
+ * Helper function to get the variables available to filename templates
+ */
+function getFilenameVariables(info, { format, audioFormat, quality, extension, clip }) {
+    const { videoId, title, author, channelId, uploadDate, publishDate, lengthSeconds } = info.videoDetails;
+    const date = uploadDate || publishDate;
+    const audioSource = audioFormat || (format.hasAudio ? format : null);
+
+    return {
+        id: videoId,
+        title: title,
+        channel: author ? author.name : '',
+        channel_id: channelId || (author ? author.id : '') || '',
+        upload_date: date ? date.substring(0, 10).replace(/-/g, '') : '',
+        duration: lengthSeconds || '',
+        quality: quality,
+        itag: format.itag,
+        height: format.height || '',
+        fps: format.fps || '',
+        vcodec: format.videoCodec ? format.videoCodec.split('.')[0] : '',
+        acodec: audioSource && audioSource.audioCodec ? audioSource.audioCodec.split('.')[0] : '',
+        clip: clip ? `${clip.start}-${clip.end !== null ? clip.end : 'end'}` : '',
+        ext: extension
+    };
+}
+
+/**
+ * Helper function to fill in a filename template such as
+ * "{channel}/{upload_date} - {title} [{id}].{ext}". Values are sanitized so
+ * they cannot add folders, and ".{ext}" is appended when the template has
+ * no {ext}. Returns { path } ("/"-separated) or { error }.
+ */
+function renderFilenameTemplate(template, variables) {
+    let unknown = null;
+    const rendered = String(template).replace(/\{(\w+)\}/g, (match, key) => {
+        if (!variables.hasOwnProperty(key)) {
+            unknown = unknown || key;
+            return match;
+        }
+        return sanitizeFilename(variables[key]);
+    });
+
+    if (unknown) {
+        return { error: `Unknown filename template variable: {${unknown}}. Available: ${Object.keys(variables).map(key => `{${key}}`).join(', ')}` };
+    }
+
+    const segments = rendered
+        .split(/[/\\]/)
+        .map(segment => sanitizeFilename(segment))
+        .filter(segment => segment !== '' && segment !== '.' && segment !== '..');
+
+    if (segments.length === 0) {
+        return { error: 'Filename template produced an empty filename' };
+    }
+
+    if (!/\{ext\}/.test(template)) {
+        segments[segments.length - 1] = truncateFilename(`${segments[segments.length - 1]}.${variables.ext}`);
+    }
+
+    return { path: segments.join('/') };
+}
+
+/**
+ * Helper function to make a file or folder name safe on Windows, macOS and
+ * Linux while keeping Unicode text (see RESERVED_FILENAME_CHARS). Returns ''
+ * when nothing usable is left.
+ */
+function sanitizeFilename(value) {
+    const name = String(value)
+        .normalize('NFC')
+        .replace(RESERVED_FILENAME_CHARS, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        // Windows drops trailing dots and spaces
+        .replace(/[. ]+$/, '');
+
+    return truncateFilename(RESERVED_FILENAMES.test(name) ? `_${name}` : name);
+}
+
+/**
+ * Helper function to cap a filename at MAX_FILENAME_BYTES of UTF-8 without
+ * splitting a character or cutting off a file extension
+ */
+function truncateFilename(name) {
+    if (Buffer.byteLength(name) <= MAX_FILENAME_BYTES) {
+        return name;
+    }
+
+    const extension = /\.[a-z0-9]{1,5}$/i.test(name) ? path.extname(name) : '';
+    const characters = Array.from(name.substring(0, name.length - extension.length));
+    while (characters.length > 0 && Buffer.byteLength(characters.join('') + extension) > MAX_FILENAME_BYTES) {
+        characters.pop();
+    }
+    return characters.join('').trim() + extension;
+}
+
+/**
+ * Helper function to build an attachment Content-Disposition header (RFC 6266):
+ * the UTF-8 name in filename* plus an ASCII fallback in filename for old clients
+ */
+function getContentDisposition(filename) {
+    const encoded = encodeURIComponent(filename)
+        .replace(/['()*]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `attachment; filename="${getAsciiFilename(filename)}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Helper function to transliterate a filename to printable ASCII
+ * ("Café Ünïcode.mp4" becomes "Cafe Unicode.mp4"). Scripts without an ASCII
+ * form become "_", and a name with nothing left falls back to "download".
+ */
+function getAsciiFilename(filename) {
+    const extension = path.extname(filename);
+    const ascii = filename.substring(0, filename.length - extension.length)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7e]/g, character => ASCII_TRANSLITERATIONS[character] || '_')
+        // NFKD turns some characters into reserved ones (e.g. fullwidth "｜" into "|")
+        .replace(RESERVED_FILENAME_CHARS, '_')
+        .replace(/_+/g, '_')
+        .trim();
+
+    return `${/[a-z0-9]/i.test(ascii) ? ascii : 'download'}${extension}`;
+}
+
+/**
+ * Helper function to get the tags written to downloads
+ */
+function getVideoMetadata(info) {
+    const { title, author, uploadDate, publishDate, description } = info.videoDetails;
+    const date = uploadDate || publishDate;
+
+    return {
+        title: title,
+        artist: author ? author.name : null,
+        date: date ? date.substring(0, 10) : null,
+        comment: description || null
+    };
+}
+
+/**
+ * Helper function to get the URL of the largest thumbnail for cover art.
+ * JPEG thumbnails are preferred since every player can show them.
+ */
+function getCoverUrl(info) {
+    const thumbnails = [...(info.videoDetails.thumbnails || [])].sort((a, b) => (b.width || 0) - (a.width || 0));
+    const jpeg = thumbnails.find(thumbnail => /\.jpe?g(\?|$)/.test(thumbnail.url));
+    const thumbnail = jpeg || thumbnails[0];
+
+    return thumbnail ? thumbnail.url : null;
+}
+
+/**
+ * Helper function to resolve the caption tracks to embed.
+ * Accepts a comma-separated string or an array of language codes; a
+ * language suffixed with :auto selects the auto-generated track.
+ * Returns { tracks } or { error }.
+ */
+function selectSubtitleTracks(info, subtitles) {
+    const languages = (Array.isArray(subtitles) ? subtitles : String(subtitles).split(','))
+        .map(language => String(language).trim())
+        .filter(Boolean);
+    const captionTracks = getCaptionTracks(info);
+    const tracks = [];
+
+    for (const language of languages) {
+        const [languageCode, kind] = language.split(':');
+        const track = findCaptionTrack(captionTracks, languageCode, kind === 'auto');
+        if (!track) {
+            return { error: `No subtitles available for language: ${languageCode}` };
+        }
+        if (!tracks.includes(track)) {
+            tracks.push(track);
+        }
+    }
+
+    return { tracks };
+}
+
+/**
+ * Helper function to validate clip start/end times (seconds or HH:MM:SS)
+ * against the video duration. Returns { start, end } in seconds (end is
+ * null for the end of a live stream) or { error }.
+ */
+function parseClipRange(info, start, end) {
+    const duration = parseInt(info.videoDetails.lengthSeconds) || null;
+    const clipStart = start ? parseTimestamp(start) : 0;
+    const clipEnd = end ? parseTimestamp(end) : duration;
+
+    if (clipStart === null) {
+        return { error: 'Invalid start time. Use seconds or HH:MM:SS' };
+    }
+    if (end && clipEnd === null) {
+        return { error: 'Invalid end time. Use seconds or HH:MM:SS' };
+    }
+    if (duration && clipStart >= duration) {
+        return { error: 'Start time is beyond the end of the video' };
+    }
+    if (clipEnd !== null && clipEnd <= clipStart) {
+        return { error: 'End time must be after start time' };
+    }
+
+    return {
+        start: clipStart,
+        end: clipEnd !== null && duration ? Math.min(clipEnd, duration) : clipEnd
+    };
+}
+
+
+/**
+ * Helper function to create the download stream for a selection
+ * (ffmpeg merges adaptive formats and converts audio).
+ * Options:
+ *   - onProgress: called with the bytes downloaded from YouTube and the
+ *     expected total, summed over all source streams
+ *   - range: { start, end } byte range (inclusive), only for formats sent as-is
+ */
+function createDownloadStream(info, selection, { onProgress, range } = {}) {
+    const { format, audioFormat, container, audioTarget, audioBitrate, transcodeAudio, clip } = selection;
+    // Extra ffmpeg inputs and tags (see getExtraInputs)
+    const extras = {
+        subtitles: (selection.subtitles || []).map(track => ({
+            track: track,
+            stream: createSubtitleStream(track, clip)
+        })),
+        chapters: selection.chapters && selection.chapters.length > 0
+            ? createChapterStream(selection.chapters)
+            : null,
+        cover: selection.coverUrl ? createCoverStream(selection.coverUrl) : null,
+        metadata: selection.metadata || null
+    };
+
+    if (clip) {
+        return createClipStream(selection, extras, onProgress);
+    }
+
+    const sources = [downloadFormatRange(info, format, range)];
+
+    if (audioFormat) {
+        sources.push(ytdl.downloadFromInfo(info, { format: audioFormat }));
+    }
+
+    if (onProgress) {
+        const counts = sources.map(() => ({ downloaded: 0, total: 0 }));
+        sources.forEach((source, index) => {
+            source.on('progress', (chunkLength, downloaded, total) => {
+                counts[index] = { downloaded, total };
+                onProgress(
+                    counts.reduce((sum, count) => sum + count.downloaded, 0),
+                    counts.reduce((sum, count) => sum + count.total, 0)
+                );
+            });
+        });
+    }
+
+    if (audioTarget) {
+        return createAudioStream(sources[0], audioTarget, audioBitrate, transcodeAudio, extras);
+    }
+    if (audioFormat || extras.subtitles.length > 0 || extras.chapters || extras.metadata) {
+        return createMergedStream(sources[0], sources[1] || null, container, extras);
+    }
+    return sources[0];
+}
+
+/**
+ * Helper function to get available qualities from formats
+ */
+function getAvailableQualities(formats, descriptors) {
+    const qualities = descriptors.map(descriptor => descriptor.id);
+
+    // Add audio options
+    const hasAudio = formats.some(f => f.hasAudio && !f.hasVideo);
+    if (hasAudio) {
+        qualities.push(...Object.keys(AUDIO_TARGETS));
+    }
+
+    return qualities;
+}
+
+/**
+ * Helper function to download a format as-is, or only the inclusive byte
+ * range { start, end } of it. ytdl treats a range ending at byte 0 as no
+ * range at all, so bytes=0-0 is requested as 0-1 and cut to one byte here.
+ */
+function downloadFormatRange(info, format, range) {
+    if (!range || range.end !== 0) {
+        return ytdl.downloadFromInfo(info, { format: format, range: range || undefined });
+    }
+
+    const source = ytdl.downloadFromInfo(info, { format: format, range: { start: 0, end: 1 } });
+    const output = new PassThrough();
+    let sent = false;
+
+    source.on('data', (chunk) => {
+        if (!sent && chunk.length > 0) {
+            sent = true;
+            output.end(chunk.subarray(0, 1));
+            source.destroy();
+        }
+    });
+    source.on('end', () => output.end());
+    source.on('error', (error) => output.destroy(error));
+    output.on('close', () => source.destroy());
+
+    return output;
+}
+
+/**
+ * Helper function to set up a response for an optional Range request.
+ * With a known size (contentLength) it sets Accept-Ranges and Content-Length,
+ * or 206 with Content-Range for a range, and answers unsatisfiable ranges
+ * with 416 itself. Without one the response cannot be resumed.
+ * Returns { range } (null for the whole file), or null once 416 was sent.
+ */
+function prepareRangeResponse(req, res, contentLength) {
+    if (!contentLength) {
+        // Merged or converted output has no known size, so it cannot be resumed
+        res.setHeader('Accept-Ranges', 'none');
+        return { range: null };
+    }
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    const range = parseRangeHeader(req.headers.range, contentLength);
+
+    if (range && range.unsatisfiable) {
+        res.setHeader('Content-Range', `bytes */${contentLength}`);
+        res.status(416).json({
+            success: false,
+            error: 'Requested range not satisfiable'
+        });
+        return null;
+    }
+
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${contentLength}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+        res.setHeader('Content-Length', contentLength);
+    }
+    return { range };
+}
+
+/**
+ * Helper function to parse a single-range Range header (bytes=start-end,
+ * bytes=start- or bytes=-suffix) against a known size.
+ * Returns null to send the whole file (no header, other units or several
+ * ranges), { unsatisfiable: true } for ranges outside the file, or { start, end }.
+ */
+function parseRangeHeader(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        if (match[2] !== '' && parseInt(match[2]) < start) {
+            // Syntactically invalid, ignore it
+            return null;
+        }
+        // An open-ended range starting past the end falls through to unsatisfiable
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return { unsatisfiable: true };
+    }
+    return { start, end };
+}
+
+/**
+ * Helper function to convert a timestamp (SS, MM:SS or HH:MM:SS) to seconds.
+ * Returns null when the value cannot be parsed.
+ */
+function parseTimestamp(value) {
+    const parts = String(value).trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+        return null;
+    }
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Helper function to parse a format selector into a list of alternatives.
+ * Alternatives are separated by "/" and tried in order; each one is a single
+ * format or a video and an audio format joined by "+" to be merged. A format
+ * is best, worst, bestvideo, worstvideo, bestaudio, worstaudio or an itag,
+ * followed by any number of filters such as [height<=1080], [vcodec^=avc1]
+ * or [ext=m4a]. Filters compare a SELECTOR_FIELDS field with =, !=, <, <=,
+ * >, >=, ^= (starts with), $= (ends with) or *= (contains).
+ * Returns [[part, part?], ...] or { error }.
+ */
+function parseFormatSelector(selector) {
+    const alternatives = [];
+
+    for (const alternative of selector.split('/')) {
+        const parts = [];
+
+        for (const text of alternative.split('+')) {
+            const match = text.trim().match(/^(?:(best|worst)(video|audio)?|(\d+))((?:\[[^\]]*\])*)$/);
+            if (!match) {
+                return { error: `Invalid format selector: "${text.trim()}"` };
+            }
+
+            const filters = [];
+            for (const [, filter] of match[4].matchAll(/\[([^\]]*)\]/g)) {
+                const parsed = parseSelectorFilter(filter);
+                if (parsed.error) {
+                    return parsed;
+                }
+                filters.push(parsed);
+            }
+
+            parts.push({
+                pick: match[3] ? 'itag' : match[1],
+                type: match[3] ? 'any' : match[2] || 'both',
+                itag: match[3] ? parseInt(match[3]) : null,
+                filters
+            });
+        }
+
+        if (parts.length > 2) {
+            return { error: 'A format selector can merge at most two formats (video+audio)' };
+        }
+        if (parts.length === 2 && (parts[0].type === 'audio' || parts[1].type === 'video')) {
+            return { error: 'Merged formats must be a video format followed by an audio format' };
+        }
+        alternatives.push(parts);
+    }
+
+    return alternatives;
+}
+
+/**
+ * Helper function to parse one selector filter such as height<=1080
+ */
+function parseSelectorFilter(filter) {
+    const match = filter.trim().match(/^([a-z]+)\s*(<=|>=|!=|\^=|\$=|\*=|=|<|>)\s*(.+)$/);
+    if (!match || !SELECTOR_FIELDS.hasOwnProperty(match[1])) {
+        return { error: `Invalid format filter: [${filter}]. Fields: ${Object.keys(SELECTOR_FIELDS).join(', ')}` };
+    }
+
+    const [, field, operator, text] = match;
+    const { type } = SELECTOR_FIELDS[field];
+    let value = text.trim();
+
+    if (type === 'string') {
+        if (['<', '<=', '>', '>='].includes(operator)) {
+            return { error: `Invalid format filter: [${filter}]. ${field} can only be compared with =, !=, ^=, $= or *=` };
+        }
+    } else {
+        if (['^=', '$=', '*='].includes(operator)) {
+            return { error: `Invalid format filter: [${filter}]. ${field} is a number` };
+        }
+        const number = value.match(type === 'size' ? /^(\d+(?:\.\d+)?)([KMG])?i?B?$/i : /^(\d+(?:\.\d+)?)$/);
+        if (!number) {
+            return { error: `Invalid format filter: [${filter}]. ${field} needs a number` };
+        }
+        value = parseFloat(number[1]) * (number[2] ? SIZE_UNITS[number[2].toUpperCase()] : 1);
+    }
+
+    return { field, operator, value };
+}
+
+/**
+ * Helper function to check a format against a parsed selector filter.
+ * Formats that lack the field never match, except for !=.
+ */
+function matchesSelectorFilter(format, { field, operator, value }) {
+    const actual = SELECTOR_FIELDS[field].get(format);
+    if (actual === undefined || actual === null) {
+        return operator === '!=';
+    }
+
+    switch (operator) {
+        case '=': return actual === value;
+        case '!=': return actual !== value;
+        case '<': return actual < value;
+        case '<=': return actual <= value;
+        case '>': return actual > value;
+        case '>=': return actual >= value;
+        case '^=': return actual.startsWith(value);
+        case '$=': return actual.endsWith(value);
+        case '*=': return actual.includes(value);
+    }
+}
+
+/**
+ * Helper function to pick formats with parsed selector alternatives.
+ * Returns { format, audioFormat } for the first alternative that matches,
+ * or null when none does.
+ */
+function resolveFormatSelector(formats, alternatives) {
+    for (const parts of alternatives) {
+        const picked = parts.map(part => pickSelectorFormat(formats, part));
+        if (picked.includes(null)) {
+            continue;
+        }
+        if (picked.length === 2 && (!picked[0].hasVideo || !picked[1].hasAudio)) {
+            continue;
+        }
+        return { format: picked[0], audioFormat: picked[1] || null };
+    }
+    return null;
+}
+
+/**
+ * Helper function to pick the best or worst format for one selector part.
+ * "best"/"worst" only consider formats with video and audio, "bestvideo"
+ * video-only and "bestaudio" audio-only formats. Formats are ranked by
+ * height, frame rate, audio bitrate and then overall bitrate.
+ */
+function pickSelectorFormat(formats, { pick, type, itag, filters }) {
+    const candidates = formats.filter(f =>
+        (pick !== 'itag' || f.itag === itag) &&
+        (type !== 'both' || (f.hasVideo && f.hasAudio)) &&
+        (type !== 'video' || (f.hasVideo && !f.hasAudio)) &&
+        (type !== 'audio' || (f.hasAudio && !f.hasVideo)) &&
+        filters.every(filter => matchesSelectorFilter(f, filter)));
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const rank = f => [f.height || 0, f.fps || 0, f.audioBitrate || 0, f.bitrate || 0];
+    const compare = (a, b) => {
+        const rankA = rank(a);
+        const rankB = rank(b);
+        const index = rankA.findIndex((value, i) => value !== rankB[i]);
+        return index === -1 ? 0 : rankA[index] - rankB[index];
+    };
+    const direction = pick === 'worst' ? -1 : 1;
+    return candidates.reduce((chosen, current) => compare(current, chosen) * direction > 0 ? current : chosen);
+}
+
+/**
+ * Helper function to find the formats for a video quality: the best muxed
+ * format of that quality, or else the preferred video-only format paired with
+ * a matching audio format. Formats with exactly the requested quality id
+ * (see getQualityId) are tried first, then any format of that height, so
+ * "1080p60" still finds 1080p. Returns { format, audioFormat } or null.
+ */
+function matchVideoQuality(formats, videoOnlyFormats, audioFormats, quality, log = console.log) {
+    const height = parseInt(quality);
+    const matchers = [
+        f => getQualityId(parseInt(f.qualityLabel), f.fps, isHdrFormat(f)) === quality,
+        f => parseInt(f.qualityLabel) === height
+    ];
+
+    for (const matches of matchers) {
+        const qualityFormats = formats.filter(matches);
+        if (qualityFormats.length > 0) {
+            // Get best format of requested quality
+            const format = getHighestBitrate(qualityFormats);
+            log(`Found exact quality match: ${format.qualityLabel}`);
+            return { format, audioFormat: null };
+        }
+
+        const adaptiveFormats = videoOnlyFormats.filter(matches);
+        if (adaptiveFormats.length > 0) {
+            // Pair the best video-only stream with a matching audio stream
+            const format = getPreferredVideo(adaptiveFormats);
+            const audioFormat = getMatchingAudio(format, audioFormats);
+            log(`Found adaptive quality match: ${format.qualityLabel} + ${audioFormat.audioBitrate}kbps audio`);
+            return { format, audioFormat };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Helper function to find the nearest available quality below ("lower") or
+ * above ("higher") a requested one, e.g. 720p for a missing 1080p. The frame
+ * rate and HDR part of the request is kept (720p60 for a missing 1080p60).
+ * Returns a quality label such as "720p", or null when there is none.
+ */
+function getFallbackQuality(formats, quality, direction) {
+    const requested = parseInt(quality);
+    const heights = formats
+        .map(f => parseInt(f.qualityLabel))
+        .filter(height => !isNaN(height) && (direction === 'lower' ? height < requested : height > requested));
+
+    if (isNaN(requested) || heights.length === 0) {
+        return null;
+    }
+    const variant = String(quality).replace(/^\d+p/, '');
+    return `${direction === 'lower' ? Math.max(...heights) : Math.min(...heights)}p${variant}`;
+}
+
+/**
+ * Helper function to pick the format with the highest bitrate
+ */
+function getHighestBitrate(formats) {
+    return formats.reduce((best, current) => {
+        const bestBitrate = best.bitrate || 0;
+        const currentBitrate = current.bitrate || 0;
+        return currentBitrate > bestBitrate ? current : best;
+    });
+}
+
+/**
+ * Helper function to pick a video-only format, preferring MP4 (H.264)
+ * for compatibility and then the highest bitrate
+ */
+function getPreferredVideo(formats) {
+    const mp4Formats = formats.filter(f => f.container === 'mp4');
+    return getHighestBitrate(mp4Formats.length > 0 ? mp4Formats : formats);
+}
+
+/**
+ * Helper function to pick the best audio-only format to pair with a video
+ * format, preferring one in the same container so the result can stay MP4
+ */
+function getMatchingAudio(videoFormat, audioFormats) {
+    const sameContainer = audioFormats.filter(f => f.container === videoFormat.container);
+    return getHighestAudioBitrate(sameContainer.length > 0 ? sameContainer : audioFormats);
+}
+
+/**
+ * Helper function to pick the audio format with the highest audio bitrate
+ */
+function getHighestAudioBitrate(formats) {
+    return formats.reduce((best, current) => {
+        const bestBitrate = best.audioBitrate || 0;
+        const currentBitrate = current.audioBitrate || 0;
+        return currentBitrate > bestBitrate ? current : best;
+    });
+}
+
+/**
+ * Helper function to decide the output container for a merged download.
+ * MP4 only when both streams are MP4, otherwise MKV which accepts any codec.
+ */
+function getMergeContainer(videoFormat, audioFormat) {
+    return videoFormat.container === 'mp4' && audioFormat.container === 'mp4' ? 'mp4' : 'mkv';
+}
+
+/**
+ * Helper function to run ffmpeg with the given input streams.
+ * Each input is piped to ffmpeg as pipe:3, pipe:4, ... and the output
+ * is read from stdout. Destroying the returned stream stops ffmpeg.
+ * onTime (optional) is called with the seconds of output encoded so far.
+ * seekable (optional) writes the output (the pipe:1 argument) to a temporary
+ * file instead, streamed out once ffmpeg is done, for muxers that go back to
+ * fill in headers (see needsSeekableOutput).
+ */
+function createFfmpegStream(args, inputs, { onTime, seekable = false } = {}) {
+    const progressArgs = onTime ? ['-progress', 'pipe:2', '-nostats'] : [];
+    const tempFile = seekable ? path.join(os.tmpdir(), `youtube-downloader-${crypto.randomBytes(8).toString('hex')}`) : null;
+    const outputArgs = tempFile ? [...args.slice(0, -1), '-y', tempFile] : args;
+    const ffmpegProcess = spawn(FFMPEG_PATH, ['-loglevel', 'error', ...progressArgs, ...outputArgs], {
+        stdio: ['ignore', 'pipe', 'pipe', ...inputs.map(() => 'pipe')]
+    });
+    const output = tempFile ? new PassThrough() : ffmpegProcess.stdout;
+    let fileStream = null;
+    let stderr = '';
+
+    inputs.forEach((input, index) => {
+        const pipe = ffmpegProcess.stdio[index + 3];
+        // ffmpeg may close its inputs early (e.g. when the client aborts)
+        pipe.on('error', () => {});
+        input.on('error', (error) => output.destroy(error));
+        input.pipe(pipe);
+    });
+
+    ffmpegProcess.stderr.on('data', (chunk) => {
+        String(chunk).split('\n').forEach(line => {
+            // -progress writes key=value lines, everything else is an error message
+            const progress = /^(\w+)=(.*)$/.exec(line.trim());
+            if (!progress) {
+                stderr += line ? `${line}\n` : '';
+            } else if (onTime && progress[1] === 'out_time_us') {
+                onTime(parseInt(progress[2]) / 1000000);
+            }
+        });
+    });
+
+    ffmpegProcess.on('error', (error) => {
+        output.destroy(new Error(`Failed to start ffmpeg: ${error.message}`));
+    });
+
+    ffmpegProcess.on('close', (code) => {
+        inputs.forEach(input => input.destroy());
+        if (code !== 0 && code !== null) {
+            const error = new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`);
+            if (output.destroyed) {
+                console.error(error.message);
+            } else {
+                output.destroy(error);
+            }
+        } else if (tempFile && code === 0 && !output.destroyed) {
+            fileStream = fs.createReadStream(tempFile);
+            fileStream.on('error', (error) => output.destroy(error));
+            fileStream.pipe(output);
+        }
+    });
+
+    output.on('close', () => {
+        if (ffmpegProcess.exitCode === null) {
+            ffmpegProcess.kill('SIGKILL');
+        }
+        if (tempFile) {
+            if (fileStream) {
+                fileStream.destroy();
+            }
+            fs.unlink(tempFile, () => {});
+        }
+    });
+
+    return output;
+}
+
+/**
+ * Helper function to merge a video-only and an audio-only stream into a
+ * single stream without re-encoding. Without an audio stream the audio of
+ * the video stream is kept. extras (optional) adds subtitles, chapter
+ * markers, cover art and tags (see getExtraInputs).
+ */
+function createMergedStream(videoStream, audioStream, container, extras = {}) {
+    const inputs = audioStream ? [videoStream, audioStream] : [videoStream];
+    const extraInputs = getExtraInputs(extras, inputs.length, inputs.length + 3);
+    const args = [];
+
+    inputs.forEach((input, index) => {
+        args.push('-i', `pipe:${index + 3}`);
+    });
+    args.push(...extraInputs.inputArgs);
+
+    args.push('-map', '0:v:0', '-map', audioStream ? '1:a:0' : '0:a:0?', ...extraInputs.mapArgs);
+    args.push('-c', 'copy', ...getSubtitleOutputArgs(extras.subtitles || [], container));
+    if (extras.cover) {
+        args.push(...getCoverOutputArgs(1));
+    }
+
+    if (container === 'mp4') {
+        args.push('-movflags', getMovflags(extras.cover), '-f', 'mp4');
+    } else {
+        args.push('-f', 'matroska');
+    }
+    args.push(...getMetadataArgs(extras.metadata), 'pipe:1');
+
+    return createFfmpegStream(args, [...inputs, ...extraInputs.streams]);
+}
+
+/**
+ * Helper function to add the extra inputs of a download to an ffmpeg command:
+ *   - subtitles: [{ track, stream }] with SRT streams, added as soft subtitle tracks
+ *   - chapters: FFMETADATA stream with chapter markers (see createChapterStream)
+ *   - cover: image stream used as cover art
+ * firstInput is the ffmpeg input index and firstPipe the pipe number of the
+ * first extra input. Returns the -i arguments, the -map arguments and the
+ * streams to pipe in.
+ */
+function getExtraInputs({ subtitles = [], chapters = null, cover = null } = {}, firstInput, firstPipe) {
+    const inputArgs = [];
+    const mapArgs = [];
+    const streams = [];
+
+    const addInput = (stream, formatArgs, map) => {
+        inputArgs.push(...formatArgs, '-i', `pipe:${firstPipe + streams.length}`);
+        mapArgs.push(...map(firstInput + streams.length));
+        streams.push(stream);
+    };
+
+    subtitles.forEach(subtitle => {
+        addInput(subtitle.stream, ['-f', 'srt'], index => ['-map', `${index}:s:0`]);
+    });
+    if (chapters) {
+        addInput(chapters, ['-f', 'ffmetadata'], index => ['-map_chapters', String(index)]);
+    }
+    if (cover) {
+        addInput(cover, [], index => ['-map', `${index}:v:0`]);
+    }
+
+    return { inputArgs, mapArgs, streams };
+}
+
+/**
+ * Helper function to build the ffmpeg output arguments that turn a video
+ * stream (by output video index) into attached cover art
+ */
+function getCoverOutputArgs(videoIndex) {
+    return [
+        `-c:v:${videoIndex}`, 'mjpeg',
+        `-disposition:v:${videoIndex}`, 'attached_pic',
+        `-metadata:s:v:${videoIndex}`, 'title=Cover',
+        `-metadata:s:v:${videoIndex}`, 'comment=Cover (front)'
+    ];
+}
+
+/**
+ * Helper function to get the -movflags for MP4 output to a pipe.
+ * MP4 needs a fragmented layout there; with cover art the header is
+ * delayed until the picture has been read.
+ */
+function getMovflags(hasCover) {
+    return hasCover ? 'frag_keyframe+empty_moov+delay_moov' : 'frag_keyframe+empty_moov';
+}
+
+/**
+ * Helper function to download a thumbnail as a stream for cover art
+ */
+function createCoverStream(url) {
+    const stream = new PassThrough();
+
+    fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.arrayBuffer();
+        })
+        .then(image => stream.end(Buffer.from(image)))
+        .catch(error => stream.destroy(new Error(`Failed to download cover art: ${error.message}`)));
+
+    return stream;
+}
+
+/**
+ * Helper function to create an SRT stream for a caption track. The cues are
+ * fetched in the background; for clips they are shifted to the clip start.
+ */
+function createSubtitleStream(track, clip) {
+    const stream = new PassThrough();
+
+    fetchCaptionCues(track)
+        .then(cues => {
+            stream.end(formatCaptions(clip ? shiftToClip(cues, clip) : cues, 'srt'));
+        })
+        .catch(error => stream.destroy(error));
+
+    return stream;
+}
+
+/**
+ * Helper function to create an FFMETADATA stream with chapter markers
+ * ([{ title, start, end }] in seconds) for ffmpeg's -map_chapters
+ */
+function createChapterStream(chapters) {
+    const escape = value => String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+    const lines = [';FFMETADATA1'];
+
+    chapters.forEach(chapter => {
+        lines.push(
+            '[CHAPTER]',
+            'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escape(chapter.title)}`
+        );
+    });
+
+    const stream = new PassThrough();
+    stream.end(lines.join('\n') + '\n');
+    return stream;
+}
+
+/**
+ * Helper function to cut timed items ({ start, end, ... } in seconds, such as
+ * caption cues or chapters) to a clip and make them relative to its start
+ */
+function shiftToClip(items, clip) {
+    return items
+        .filter(item => item.end > clip.start && (clip.end === null || item.start < clip.end))
+        .map(item => ({
+            ...item,
+            start: Math.max(item.start, clip.start) - clip.start,
+            end: (clip.end === null ? item.end : Math.min(item.end, clip.end)) - clip.start
+        }));
+}
+
+/**
+ * Helper function to build the ffmpeg output arguments for subtitle tracks
+ * (mov_text for MP4, SubRip for MKV) with language tags and track names
+ */
+function getSubtitleOutputArgs(subtitles, container) {
+    if (subtitles.length === 0) {
+        return [];
+    }
+
+    const args = ['-c:s', container === 'mp4' ? 'mov_text' : 'srt'];
+    subtitles.forEach(({ track }, index) => {
+        const primaryLanguage = track.languageCode.split('-')[0].toLowerCase();
+        args.push(
+            `-metadata:s:s:${index}`, `language=${SUBTITLE_LANGUAGE_CODES[primaryLanguage] || primaryLanguage}`,
+            `-metadata:s:s:${index}`, `title=${serializeCaptionTrack(track).name}`
+        );
+    });
+    return args;
+}
+
+/**
+ * Helper function to convert an audio stream to an audio target.
+ * Without transcoding the audio is only remuxed into the target container.
+ * extras (optional) adds chapter markers, cover art and tags (see getExtraInputs).
+ */
+function createAudioStream(audioStream, target, bitrate, transcode, extras = {}) {
+    const extraInputs = getExtraInputs(extras, 1, 4);
+    const args = [
+        '-i', 'pipe:3',
+        ...extraInputs.inputArgs,
+        '-map', '0:a:0',
+        ...extraInputs.mapArgs,
+        ...getAudioOutputArgs(target, bitrate, transcode, Boolean(extras.cover)),
+        ...getMetadataArgs(extras.metadata),
+        'pipe:1'
+    ];
+
+    return createFfmpegStream(args, [audioStream, ...extraInputs.streams], {
+        seekable: needsSeekableOutput(target, extras)
+    });
+}
+
+/**
+ * Helper function to check whether an audio target needs a seekable output.
+ * The mp3 muxer writes the ID3v2 tag size after the tag: on a pipe a large
+ * tag (e.g. with cover art) is already flushed, its size stays 0 and players
+ * see no tags at all.
+ */
+function needsSeekableOutput(target, extras = {}) {
+    return target.muxer === 'mp3' && Boolean(extras.cover || extras.chapters || extras.metadata);
+}
+
+/**
+ * Helper function to build the ffmpeg output arguments for an audio target.
+ * With cover art the mapped picture is kept as an attached picture.
+ */
+function getAudioOutputArgs(target, bitrate, transcode, hasCover = false) {
+    const args = hasCover ? getCoverOutputArgs(0) : ['-vn'];
+
+    if (transcode) {
+        args.push('-c:a', target.codec);
+        if (bitrate) {
+            args.push('-b:a', `${bitrate}k`);
+        }
+    } else {
+        args.push('-c:a', 'copy');
+    }
+
+    if (target.muxer === 'ipod') {
+        // MP4-based containers need a fragmented layout to be written to a pipe
+        args.push('-movflags', getMovflags(hasCover));
+    }
+    if (target.muxer === 'mp3') {
+        // ID3v2.3 is what most players and taggers read
+        args.push('-write_id3v2', '1', '-id3v2_version', '3');
+    }
+    args.push('-f', target.muxer);
+
+    return args;
+}
+
+/**
+ * Helper function to build ffmpeg arguments that write tags
+ * (e.g. { title, artist, album, track })
+ */
+function getMetadataArgs(metadata) {
+    return Object.entries(metadata || {})
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => ['-metadata', `${key}=${value}`])
+        .flat();
+}
+
+/**
+ * Helper function to download only a time range of a selection.
+ * ffmpeg reads the format URLs directly so it can seek with HTTP range
+ * requests instead of downloading everything before the start time.
+ * Progress is estimated from the encoded time and the source bitrates.
+ */
+function createClipStream(selection, extras = {}, onProgress) {
+    const { format, audioFormat, audioTarget, audioBitrate, transcodeAudio, clip } = selection;
+    const sourceFormats = audioFormat ? [format, audioFormat] : [format];
+    // Subtitle cues and chapter markers are already shifted to the clip start
+    const extraInputs = getExtraInputs(extras, sourceFormats.length, 3);
+    const args = [];
+
+    sourceFormats.forEach(sourceFormat => {
+        args.push('-ss', String(clip.start), '-i', sourceFormat.url);
+    });
+    args.push(...extraInputs.inputArgs);
+    if (clip.end !== null) {
+        args.push('-t', String(clip.end - clip.start));
+    }
+
+    if (audioTarget) {
+        args.push(
+            '-map', '0:a:0',
+            ...extraInputs.mapArgs,
+            ...getAudioOutputArgs(audioTarget, audioBitrate, transcodeAudio, Boolean(extras.cover))
+        );
+    } else if (format.hasVideo) {
+        args.push(
+            '-map', '0:v:0',
+            '-map', audioFormat ? '1:a:0' : '0:a:0?',
+            ...extraInputs.mapArgs,
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-crf', '20',
+            '-c:a', 'aac',
+            '-b:a', '192k',
+            ...getSubtitleOutputArgs(extras.subtitles || [], 'mp4'),
+            ...(extras.cover ? getCoverOutputArgs(1) : []),
+            '-movflags', getMovflags(extras.cover),
+            '-f', 'mp4'
+        );
+    } else {
+        // Audio-only itag: keep the codec and container
+        args.push('-vn', '-c:a', 'copy');
+        if (format.container === 'mp4') {
+            args.push('-movflags', 'frag_keyframe+empty_moov');
+        }
+        args.push('-f', format.container);
+    }
+    args.push(...getMetadataArgs(extras.metadata), 'pipe:1');
+
+    let onTime = null;
+    if (onProgress && clip.end !== null) {
+        const bytesPerSecond = sourceFormats.reduce((sum, f) => sum + (f.bitrate || (f.audioBitrate || 0) * 1000), 0) / 8;
+        const duration = clip.end - clip.start;
+        onTime = (seconds) => {
+            onProgress(Math.round(Math.min(seconds, duration) * bytesPerSecond), Math.round(duration * bytesPerSecond));
+        };
+    }
+
+    return createFfmpegStream(args, extraInputs.streams, {
+        onTime,
+        seekable: Boolean(audioTarget) && needsSeekableOutput(audioTarget, extras)
+    });
+}
+
+/**
+ * GET /api/media/:videoId/:itag - Stream a single format as-is through the server
+ * Only available when MEDIA_PROXY_TOKEN is set.
+ * Auth: Authorization: Bearer <token>, or ?token=<token> for <video> and <audio> tags
+ * Headers: Range (optional: bytes=start-end)
+ */
+app.get('/api/media/:videoId/:itag', async (req, res) => {
+    try {
+        if (!MEDIA_PROXY_TOKEN) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media proxy is disabled'
+            });
+        }
+
+        if (!isMediaProxyAuthorized(req)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or missing media proxy token'
+            });
+        }
+
+        const { videoId, itag } = req.params;
+        if (!ytdl.validateID(videoId) || !/^\d+$/.test(itag)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid video ID or itag'
+            });
+        }
+
+        const info = await getVideoInfo(`https://www.youtube.com/watch?v=${videoId}`);
+        const format = info.formats.find(f => f.itag === parseInt(itag));
+        if (!format) {
+            return res.status(404).json({
+                success: false,
+                error: 'Format not available'
+            });
+        }
+
+        const ranged = prepareRangeResponse(req, res, parseInt(format.contentLength) || null);
+        if (!ranged) {
+            return;
+        }
+        const { range } = ranged;
+        res.setHeader('Content-Type', format.mimeType || 'application/octet-stream');
+
+        // Express answers HEAD with this route; send the headers only
+        if (req.method === 'HEAD') {
+            return res.end();
+        }
+
+        console.log(`Media proxy: ${videoId} itag ${itag}${range ? ` (bytes ${range.start}-${range.end})` : ''}`);
+
+        const mediaStream = downloadFormatRange(info, format, range);
+
+        // Stop downloading if the client goes away, e.g. a player seeking
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                mediaStream.destroy();
+            }
+        });
+
+        mediaStream.on('error', (error) => {
+            console.error('Media proxy stream error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Media stream failed: ' + error.message
+                });
+            } else {
+                res.destroy();
+            }
+        });
+
+        mediaStream.pipe(res);
+
+    } catch (error) {
+        console.error('Media proxy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stream media: ' + error.message
+        });
+    }
+});
+
+/**
+ * Helper function to check the media proxy token from the Authorization
+ * header or the token query parameter, in constant time
+ */
+function isMediaProxyAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token;
+    if (typeof token !== 'string') {
+        return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(MEDIA_PROXY_TOKEN).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({
+        success: true,
+        message: 'YouTube Downloader API is running',
+        timestamp: new Date().toISOString(),
+        infoCache: {
+            entries: infoCache.size,
+            pending: pendingInfoRequests.size,
+            hits: infoCacheStats.hits,
+            misses: infoCacheStats.misses,
+            coalesced: infoCacheStats.coalesced
+        }
+    });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+    });
+});
+
+// Start server
+app.listen(PORT, () => {
+    console.log(`🚀 YouTube Downloader API Server running on http://localhost:${PORT}`);
+    console.log(`📡 API endpoints:`);
+    console.log(`   GET  /api/info?url=<youtube_url>`);
+    console.log(`   GET  /api/playlist?url=<playlist_url>`);
+    console.log(`   GET  /api/download?url=<youtube_url>&quality=<quality>`);
+    console.log(`   GET  /api/download/preflight?url=<youtube_url>&quality=<quality>`);
+    console.log(`   GET  /api/captions?url=<youtube_url>&lang=<language>&format=<srt|vtt|txt>`);
+    console.log(`   GET  /api/progress/<id>`);
+    console.log(`   POST /api/zip`);
+    console.log(`   GET  /api/download/chapters?url=<youtube_url>&quality=<quality>`);
+    console.log(`   POST /api/jobs`);
+    console.log(`   GET  /api/jobs/<id>`);
+    console.log(`   GET  /api/jobs/<id>/file`);
+    console.log(`   DELETE /api/jobs/<id>`);
+    if (MEDIA_PROXY_TOKEN) {
+        console.log(`   GET  /api/media/<video_id>/<itag>`);
+    }
     console.log(`   GET  /api/health`);
 });
 